@@ -0,0 +1,18 @@
+// Library entry point: the API as an Express app or mountable router, its
+// configuration loader and the classification core
+const { createApp, createProcessor } = require('./lib/app');
+const { ConfigError, loadConfig, publicConfig } = require('./lib/config');
+const { Logger } = require('./lib/logger');
+const { processArrayData, explainItem, CORE_VERSION } = require('./lib/shared');
+
+module.exports = {
+    createApp,
+    createProcessor,
+    ConfigError,
+    loadConfig,
+    publicConfig,
+    Logger,
+    processArrayData,
+    explainItem,
+    CORE_VERSION
+};
@@ -0,0 +1,698 @@
+// The Array Data Processor API as an embeddable Express router.
+//
+// createProcessor(options) builds every route, middleware and backing store
+// from a configuration; createApp(options) wraps its router in an Express
+// app. Nothing listens on a port or handles signals here: server.js does that
+// for the standalone server, and other services mount the router themselves:
+//
+//   const { createProcessor } = require('array-data-processor-backend');
+//   const processor = createProcessor({ config: { limits: { max_items: 5000 } } });
+//   service.use('/array', processor.router);
+//
+// Mount it before any body parser of the host app: the streaming endpoint
+// reads the raw request body.
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { processArrayData, explainItem, compileRules, CORE_VERSION, SHARED_DIR } = require('./shared');
+const { processBatch } = require('./batch');
+const { handleStream, MAX_CHUNK_SIZE } = require('./stream');
+const { CONTENT_TYPES, extractItems } = require('./tabular');
+const { FORMATS, acceptFormats, requireFormat, sendResult } = require('./formats');
+const { ProfileStore, resolveIdentity, createAdminRouter, hasAdminToken } = require('./identity');
+const { createUsageStore } = require('./usage-store');
+const { requireApiKey, createLimiter } = require('./rate-limit');
+const { batchRequestSchema, compareRequestSchema, classifyRequestSchema, optionsSchema, limitedVariant, limitedComponents } = require('./schemas');
+const { countItems, validate, validateProcessRequest, validationFailure } = require('./validation');
+const { ApiRegistry } = require('./openapi');
+const { QUERY_OPTIONS, mergeQueryOptions } = require('./query-options');
+const { createResultStore } = require('./result-store');
+const { recordResult, createResultsRouter } = require('./results');
+const { JobQueue } = require('./job-queue');
+const { createJobsRouter } = require('./jobs');
+const { DIFF_FORMAT, compareDatasets, toUnifiedDiff } = require('./compare');
+const { createMetrics } = require('./metrics');
+const { createTimeLimit } = require('./time-limit');
+const { Logger, createRedactor, requestLogger, logPayload } = require('./logger');
+const { Lifecycle } = require('./lifecycle');
+const { loadConfig, publicConfig } = require('./config');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Server-side custom category rules, loaded when the processor is created.
+// processing.rules_file points to a JSON file holding either a rules array or { "rules": [...] }.
+function loadServerRules(file) {
+    if (!file) return [];
+
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+    compileRules(rules); // Throws on invalid rules so the server fails fast
+    return rules;
+}
+
+// Body logging settings for requestLogger: logging.body_sample_rate (0 to 1,
+// default 0) logs that share of request and response bodies in full, after
+// redacting the default keys and patterns plus logging.redact_keys and
+// logging.redact_patterns
+function loadBodyLogging(settings) {
+    if (settings.body_sample_rate <= 0) return null;
+
+    const redact = createRedactor({ keys: settings.redact_keys, patterns: settings.redact_patterns });
+    return { sampleRate: settings.body_sample_rate, maxBytes: settings.body_max_bytes, redact };
+}
+
+// CSV/TSV/plain-text input, from an uploaded file or a raw text body.
+// Returns null for ordinary JSON requests.
+function readTabularInput(req) {
+    if (req.file) {
+        return extractItems(req.file.buffer.toString('utf8'), { ...req.query, ...req.body }, {
+            contentType: req.file.mimetype,
+            fileName: req.file.originalname
+        });
+    }
+    if (typeof req.body === 'string') {
+        return extractItems(req.body, req.query, { contentType: req.headers['content-type'] });
+    }
+    return null;
+}
+
+// Documentation shared by several routes
+const FORMAT_QUERY = {
+    format: { type: 'string', enum: Object.keys(FORMATS), description: 'Response format (overrides the Accept header)' }
+};
+const STRICT_QUERY = {
+    strict: { type: 'boolean', description: 'Reject fields the request schema does not declare' }
+};
+const OPTION_QUERY = {};
+QUERY_OPTIONS.forEach(name => {
+    OPTION_QUERY[name] = optionsSchema.properties[name];
+});
+const RESULT_TYPES = Object.values(FORMATS).map(format => format.types[0]);
+const GUARD_RESPONSES = {
+    401: 'Missing, invalid or revoked API key',
+    429: 'Rate limit or daily item quota exceeded'
+};
+
+// Route methods of a disabled endpoint group: they register nothing
+const DISABLED = { get: () => DISABLED, post: () => DISABLED };
+
+// Docs page, its asset and spec URLs following the router's mount path
+const DOCS_PAGE = fs.readFileSync(path.join(PUBLIC_DIR, 'docs.html'), 'utf8');
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Options:
+//   config        settings over the defaults (see config.js); environment
+//                 variables are not read here, loadConfig() does that
+//   logger        a Logger (default: one at config.logging.level)
+//   usageStore, resultStore, profileStore
+//                 stores to use instead of the configured ones (resultStore
+//                 may be null to keep no history)
+// Returns { router, config, logger, registry, lifecycle, jobQueue,
+// usageStore, resultStore, profileStore }. Throws a ConfigError for an
+// invalid configuration.
+function createProcessor(options = {}) {
+    const config = loadConfig({ env: {}, overrides: options.config });
+    const logger = options.logger || new Logger({ level: config.logging.level });
+    const router = express.Router();
+
+    // Every route is registered through the registry so /openapi.json documents
+    // exactly what is served
+    const registry = new ApiRegistry({
+        info: {
+            title: 'Array Data Processor API',
+            version: '1.0.0',
+            description: `Classifies array items into numbers, alphabets and special characters (core ${CORE_VERSION}).`
+        },
+        components: limitedComponents(config.limits)
+    });
+    const api = registry.on(router);
+
+    // Route methods for an endpoint group (see ENDPOINTS in config.js);
+    // routes of a disabled group are not registered, so they answer 404 and
+    // are left out of /openapi.json
+    const endpoint = group => (config.endpoints[group] ? api : DISABLED);
+
+    const serverRules = loadServerRules(config.processing.rules_file);
+
+    // Caller identity profiles (without identity.profiles_file they live in
+    // memory only)
+    const profileStore = options.profileStore || new ProfileStore({ file: config.identity.profiles_file });
+
+    // Request rate limits and daily item quotas, per API key (or IP address for
+    // anonymous callers). Profiles may override both limits.
+    const usageStore = options.usageStore || createUsageStore({ type: config.rate_limit.store, file: config.rate_limit.file });
+    const limiter = createLimiter({
+        store: usageStore,
+        limit: config.rate_limit.max,
+        windowMs: config.rate_limit.window_ms,
+        dailyItemQuota: config.rate_limit.daily_item_quota
+    });
+
+    // Processing history: /process and /process/batch results of
+    // key-authenticated callers are kept for results.ttl_hours (default one
+    // week), within results.max records and results.max_bytes, and served
+    // under /results. Nothing
+    // is kept when the results endpoints are disabled; an injected store (or
+    // null) replaces the configured one.
+    const resultStore = 'resultStore' in options ? options.resultStore : config.endpoints.results ? createResultStore({
+        type: config.results.store,
+        dir: config.results.dir,
+        ttlMs: config.results.ttl_hours * 60 * 60 * 1000,
+        maxResults: config.results.max,
+        maxBytes: config.results.max_bytes
+    }) : null;
+
+    // Asynchronous jobs, classified in worker threads jobs.concurrency at a time
+    const jobQueue = config.endpoints.jobs ? new JobQueue({
+        concurrency: config.jobs.concurrency,
+        maxQueued: config.jobs.max_queued,
+        ttlMs: config.jobs.ttl_hours * 60 * 60 * 1000,
+        maxFinished: config.jobs.max_finished,
+        maxFinishedBytes: config.jobs.max_finished_bytes
+    }) : null;
+
+    // Readiness checks and graceful shutdown. On SIGTERM/SIGINT /health/ready
+    // answers 503 at once; after shutdown.delay_ms the server stops accepting
+    // connections and waits up to shutdown.timeout_ms for in-flight requests
+    // and accepted jobs.
+    const lifecycle = new Lifecycle({
+        logger,
+        drainTimeoutMs: config.shutdown.timeout_ms,
+        delayMs: config.shutdown.delay_ms,
+        checks: {
+            usage_store: () => usageStore.check(),
+            ...(resultStore ? { results_store: () => resultStore.check() } : {}),
+            // A full queue is backpressure (POST /jobs answers 503), not a
+            // reason to take the instance out of rotation
+            ...(jobQueue ? { job_queue: async () => ({ ...jobQueue.stats(), full: jobQueue.full }) } : {})
+        }
+    });
+    if (jobQueue) lifecycle.onDrain(() => jobQueue.drain());
+
+    // Prometheus metrics, served at /metrics (behind metrics.token when set)
+    const metrics = createMetrics({ token: config.metrics.token });
+
+    // Guards for every processing route: API key (when identity.require_api_key
+    // is set) and request rate limit
+    const guarded = [requireApiKey(config.identity.require_api_key), limiter.rateLimit];
+
+    // Strict validation rejects fields the request schemas do not declare. It is
+    // chosen per request with ?strict=true|false, defaulting to
+    // processing.strict_validation.
+    function isStrict(req) {
+        if (req.query.strict !== undefined) return req.query.strict === 'true';
+        return config.processing.strict_validation;
+    }
+
+    // Reply to a request that failed schema validation (400 or 422)
+    function rejectInvalid(res, { status, errors }) {
+        res.status(status);
+        sendResult(res, validationFailure(errors));
+    }
+
+    // Context shared by every processing route: server rules, default options
+    // and caller identity (the configured default for anonymous callers)
+    function processingContext(req) {
+        return {
+            rules: serverRules,
+            options: config.processing.default_options,
+            identity: req.identity || config.identity.default
+        };
+    }
+
+    // Options a request body is processed with: the server defaults under its own
+    function requestOptions(body) {
+        const own = body && body.options;
+        return { ...config.processing.default_options, ...(own && typeof own === 'object' ? own : {}) };
+    }
+
+    // Item limits and default options every request is validated with
+    const requestSettings = { limits: config.limits, defaults: config.processing.default_options };
+
+    // File uploads are kept in memory under the same limit as JSON bodies
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: config.limits.body_bytes, files: 1 }
+    });
+
+    // Accept a single multipart file in the `file` field (no-op for other bodies)
+    function acceptUpload(req, res, next) {
+        upload.single('file')(req, res, error => {
+            if (error) {
+                const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return res.status(status).json({ is_success: false, error: error.message, code: error.code || 'UPLOAD_FAILED' });
+            }
+            next();
+        });
+    }
+
+    // Middleware
+    router.use(requestLogger(logger, { bodies: loadBodyLogging(config.logging) })); // Request ids and logging
+    router.use(metrics.middleware); // Request metrics
+    router.use(lifecycle.closeConnections()); // No keep-alive once shutting down
+    router.use(helmet()); // Security headers
+    router.use(cors(config.cors.origins.includes('*') ? {} : { origin: config.cors.origins })); // Allowed CORS origins
+    // Caller identity from the API key. /metrics is skipped: its Bearer
+    // header carries the metrics token, not an API key.
+    const identify = resolveIdentity(profileStore);
+    router.use((req, res, next) => (req.path === '/metrics' ? next() : identify(req, res, next)));
+
+    // Streaming endpoint reads the raw body itself, so it is registered before
+    // the JSON body parser (and is not subject to its size limit)
+    endpoint('stream').post('/process/stream', {
+        summary: 'Stream NDJSON or a JSON array of any size',
+        description: 'Items are classified in chunks. `mode=chunks` answers NDJSON (one line per chunk, then a summary); `mode=aggregate` answers a single merged result.',
+        tags: ['Processing'],
+        auth: 'apiKey',
+        query: {
+            mode: { type: 'string', enum: ['chunks', 'aggregate'], description: 'Response mode (default chunks)' },
+            chunk_size: { type: 'integer', minimum: 1, maximum: MAX_CHUNK_SIZE, description: 'Items per chunk' },
+            ...OPTION_QUERY
+        },
+        body: {
+            'application/x-ndjson': { type: 'string', description: 'One JSON value per line' },
+            'application/json': { type: 'array', items: {}, example: ['a', '1', '23', '$', 'B'] }
+        },
+        responses: {
+            200: { description: 'Chunk lines and a summary, or the aggregate result', schema: 'ProcessResult', types: ['application/x-ndjson', 'application/json'] },
+            400: 'Malformed stream or invalid parameter',
+            415: 'Unsupported Content-Type',
+            422: 'Invalid processing options',
+            ...GUARD_RESPONSES
+        }
+    }, guarded, (req, res, next) => {
+        handleStream(req, res, processingContext(req), {
+            consumeItems: count => limiter.consumeItems(req, count)
+        }).catch(next);
+    });
+
+    router.use(express.json({ limit: config.limits.body_bytes, verify: metrics.recordBody })); // Parse JSON bodies
+    router.use(express.text({ type: Object.keys(CONTENT_TYPES), limit: config.limits.body_bytes, verify: metrics.recordBody })); // CSV/TSV/plain text
+    router.use(express.urlencoded({ extended: true, verify: metrics.recordBody }));
+
+    // Profile administration
+    if (config.endpoints.admin) {
+        router.use('/admin', createAdminRouter(profileStore, config.identity.admin_token, { limiter, registry }));
+    }
+
+    // Stored results
+    if (config.endpoints.results) {
+        router.use('/results', createResultsRouter(resultStore, { adminToken: config.identity.admin_token, registry, guards: guarded }));
+    }
+
+    // Asynchronous jobs
+    if (jobQueue) {
+        router.use('/jobs', createJobsRouter(jobQueue, {
+            adminToken: config.identity.admin_token,
+            registry,
+            guards: guarded,
+            limiter,
+            context: processingContext,
+            strict: isStrict,
+            limits: config.limits,
+            resultStore,
+            metrics,
+            callbacks: {
+                attempts: config.jobs.callback_attempts,
+                backoffMs: config.jobs.callback_backoff_ms,
+                allowedHosts: config.jobs.callback_allowed_hosts
+            }
+        }));
+    }
+
+    // Routes
+    api.get('/', {
+        summary: 'API information',
+        tags: ['Service'],
+        responses: { 200: { description: 'Service name, versions and endpoints', schema: { type: 'object' } } }
+    }, (req, res) => {
+        res.json({
+            message: 'Array Data Processor API',
+            version: '1.0.0',
+            core_version: CORE_VERSION,
+            endpoints: registry.endpoints(),
+            docs: `${req.baseUrl}/docs`,
+            openapi: `${req.baseUrl}/openapi.json`,
+            example_usage: {
+                endpoint: '/process',
+                method: 'POST',
+                body: {
+                    data: ["a", "1", "23", "$", "B"]
+                }
+            }
+        });
+    });
+
+    // Health check endpoint
+    api.get('/health', {
+        summary: 'Health check',
+        tags: ['Service'],
+        responses: { 200: { description: 'Server status', schema: { type: 'object' } } }
+    }, (req, res) => {
+        res.json({
+            status: 'OK',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
+    });
+
+    // Prometheus metrics
+    endpoint('metrics').get('/metrics', {
+        summary: 'Prometheus metrics',
+        description: 'Request counts, latencies and body sizes per route, error counts by code and classified items per bucket, in the Prometheus text format.',
+        tags: ['Service'],
+        responses: {
+            200: { description: 'Metrics in the text exposition format', types: ['text/plain'] },
+            401: 'Missing or invalid metrics token (when metrics.token is set)'
+        }
+    }, metrics.serve);
+
+    // Liveness: the process is up and serving (even while draining)
+    api.get('/health/live', {
+        summary: 'Liveness probe',
+        tags: ['Service'],
+        responses: { 200: { description: 'The process is alive', schema: { type: 'object' } } }
+    }, (req, res) => {
+        res.json({ status: 'ok', uptime: process.uptime() });
+    });
+
+    // Readiness: every backend check passes and the server is not shutting down
+    api.get('/health/ready', {
+        summary: 'Readiness probe',
+        description: 'Checks the usage store, results store and job queue. Answers 503 when a check fails or the server is shutting down.',
+        tags: ['Service'],
+        responses: {
+            200: { description: 'Ready for traffic', schema: { type: 'object' } },
+            503: { description: 'Not ready, or draining', schema: { type: 'object' } }
+        }
+    }, async (req, res, next) => {
+        try {
+            const { ready, status, checks } = await lifecycle.readiness();
+            res.status(ready ? 200 : 503).json({ status, checks });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Effective configuration, without secrets
+    api.get('/config', {
+        summary: 'Effective server configuration',
+        description: 'Limits, allowed CORS origins, enabled endpoint groups, default processing options and the default identity, as merged from defaults, the config file and environment variables. The server-side custom category rules are listed under `rules`. Tokens are never included; file paths, log redaction rules and proxy and callback hosts only with the admin token.',
+        tags: ['Service'],
+        responses: { 200: { description: 'Non-secret configuration', schema: { type: 'object' } } }
+    }, (req, res) => {
+        const internal = hasAdminToken(req, config.identity.admin_token);
+        res.json({ is_success: true, config: publicConfig(config, { internal }), rules: serverRules, core_version: CORE_VERSION });
+    });
+
+    // Machine-readable API description, generated from the registered routes
+    api.get('/openapi.json', {
+        summary: 'OpenAPI 3.1 description of this API',
+        tags: ['Service'],
+        responses: { 200: { description: 'OpenAPI document', schema: { type: 'object' } } }
+    }, (req, res) => {
+        res.json(registry.spec({ basePath: req.baseUrl }));
+    });
+
+    // Interactive docs; the page and its script have no external dependencies
+    endpoint('docs').get('/docs', {
+        summary: 'Interactive API documentation',
+        tags: ['Service'],
+        responses: { 200: { description: 'HTML page' } }
+    }, (req, res) => {
+        res.type('html').send(DOCS_PAGE.replace(/\{\{base\}\}/g, escapeHtml(req.baseUrl)));
+    });
+
+    // The docs renderer is shared with the frontend
+    ['api-docs.js', 'api-docs.css'].forEach(file => {
+        endpoint('docs').get(`/docs/${file}`, {
+            summary: `Docs page asset (${file})`,
+            tags: ['Service'],
+            responses: { 200: { description: file.endsWith('.js') ? 'JavaScript' : 'Stylesheet' } }
+        }, (req, res) => {
+            res.sendFile(path.join(SHARED_DIR, file));
+        });
+    });
+
+    // Usage of the caller's rate limit and daily item quota
+    api.get('/usage', {
+        summary: 'Rate limit and daily item quota usage for the caller',
+        tags: ['Usage'],
+        auth: 'apiKey',
+        responses: { 200: { description: 'Current usage', schema: 'Usage' }, ...GUARD_RESPONSES }
+    }, guarded, async (req, res, next) => {
+        try {
+            res.json({ is_success: true, ...(await limiter.usage(req)) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Main processing endpoint
+    endpoint('process').post('/process', {
+        summary: 'Process array data',
+        description: 'Accepts a JSON body, or CSV/TSV/plain text as a raw body or a multipart `file` upload (every cell becomes an item).',
+        tags: ['Processing'],
+        auth: 'apiKey',
+        query: {
+            ...FORMAT_QUERY,
+            ...STRICT_QUERY,
+            input_format: { type: 'string', enum: Object.values(CONTENT_TYPES), description: 'Tabular input format (detected by default)' },
+            header: { type: 'boolean', description: 'Tabular input: first row holds column names' },
+            columns: { type: 'string', description: 'Tabular input: comma-separated column names or 1-based indexes' },
+            delimiter: { type: 'string', description: 'Tabular input: cell separator' },
+            ...OPTION_QUERY
+        },
+        body: {
+            'application/json': 'ProcessRequest',
+            'text/csv': { type: 'string' },
+            'text/tab-separated-values': { type: 'string' },
+            'text/plain': { type: 'string' },
+            'multipart/form-data': { type: 'object', properties: { file: { type: 'string', format: 'binary' } } }
+        },
+        responses: {
+            200: { description: 'Classification result', schema: 'ProcessResult', types: RESULT_TYPES },
+            400: 'Malformed request',
+            406: 'Unsupported response format',
+            422: 'Invalid values in the request',
+            ...GUARD_RESPONSES
+        }
+    }, guarded, requireFormat, acceptUpload, async (req, res, next) => {
+        let tabular;
+        try {
+            tabular = readTabularInput(req);
+        } catch (error) {
+            res.status(400);
+            return sendResult(res, { is_success: false, error: error.message, code: 'INVALID_TABULAR_INPUT' });
+        }
+
+        const body = tabular ? { data: tabular.data, options: tabular.options } : mergeQueryOptions(req.body, req.query);
+        const validation = validateProcessRequest(body, { strict: !tabular && isStrict(req), ...requestSettings });
+        if (validation.status) return rejectInvalid(res, validation);
+
+        try {
+            const itemCount = countItems(body.data, requestOptions(body));
+            const quota = await limiter.consumeItems(req, itemCount);
+            if (!quota.allowed) return limiter.rejectQuota(res, quota);
+
+            logPayload(res, 'request_body', body);
+            const limited = createTimeLimit(body, config.processing.pattern_time_limit_ms);
+            const context = tabular ? { ...processingContext(req), sources: tabular.sources } : processingContext(req);
+            const result = limited(() => processArrayData(body, context));
+            logPayload(res, 'response_body', result);
+
+            sendResult(res, await recordResult(resultStore, req, {
+                endpoint: '/process',
+                request: body,
+                result,
+                itemCount
+            }));
+        } catch (error) {
+            if (error.code === 'PATTERN_TIMEOUT') return next(error);
+            req.log.error('processing failed', { error });
+            res.status(500).json({
+                is_success: false,
+                error: 'Internal server error',
+                code: 'INTERNAL_ERROR',
+                message: error.message
+            });
+        }
+    });
+
+    // Batch processing endpoint
+    endpoint('batch').post('/process/batch', {
+        summary: 'Process many datasets in one request',
+        description: 'Each entry is processed independently; an invalid entry fails on its own.',
+        tags: ['Processing'],
+        auth: 'apiKey',
+        query: { ...FORMAT_QUERY, ...STRICT_QUERY },
+        body: { 'application/json': 'BatchRequest' },
+        responses: {
+            200: { description: 'Per-entry results and a summary', schema: 'BatchResponse', types: RESULT_TYPES },
+            400: 'Malformed batch',
+            406: 'Unsupported response format',
+            422: 'Too many entries',
+            ...GUARD_RESPONSES
+        }
+    }, guarded, requireFormat, async (req, res, next) => {
+        const strict = isStrict(req);
+        const validation = validate(limitedVariant(batchRequestSchema, config.limits), req.body, { strict });
+        if (validation.status) return rejectInvalid(res, validation);
+
+        const itemCount = req.body.entries.reduce((total, entry) => total + countItems(entry && entry.data, requestOptions(entry)), 0);
+        try {
+            const quota = await limiter.consumeItems(req, itemCount);
+            if (!quota.allowed) return limiter.rejectQuota(res, quota);
+
+            logPayload(res, 'request_body', req.body);
+            const limited = createTimeLimit(req.body, config.processing.pattern_time_limit_ms);
+            const result = limited(() => processBatch(req.body, processingContext(req), { strict, limits: config.limits }));
+            logPayload(res, 'response_body', result);
+            sendResult(res, await recordResult(resultStore, req, { endpoint: '/process/batch', request: req.body, result, itemCount }));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Dataset comparison endpoint
+    endpoint('compare').post('/compare', {
+        summary: 'Compare two datasets',
+        description: 'Classifies both datasets with the same options and reports, per category, the items added, removed and common to both. format=diff answers with a unified diff instead.',
+        tags: ['Processing'],
+        auth: 'apiKey',
+        query: {
+            format: { type: 'string', enum: Object.keys(FORMATS).concat(Object.keys(DIFF_FORMAT)), description: 'Response format (overrides the Accept header)' },
+            ...STRICT_QUERY
+        },
+        body: { 'application/json': 'CompareRequest' },
+        responses: {
+            200: { description: 'Changes per category', schema: 'Comparison', types: RESULT_TYPES.concat(DIFF_FORMAT.diff.types[0]) },
+            400: 'Malformed request',
+            406: 'Unsupported response format',
+            422: 'Invalid values in the request',
+            ...GUARD_RESPONSES
+        }
+    }, guarded, acceptFormats(DIFF_FORMAT), async (req, res, next) => {
+        const validation = validateProcessRequest(req.body, { strict: isStrict(req), schema: compareRequestSchema, ...requestSettings });
+        if (validation.status) return rejectInvalid(res, validation);
+
+        try {
+            const options = requestOptions(req.body);
+            const quota = await limiter.consumeItems(req, countItems(req.body.before, options) + countItems(req.body.after, options));
+            if (!quota.allowed) return limiter.rejectQuota(res, quota);
+        } catch (error) {
+            return next(error);
+        }
+
+        let compared;
+        try {
+            const limited = createTimeLimit(req.body, config.processing.pattern_time_limit_ms);
+            compared = limited(() => compareDatasets(req.body, processingContext(req)));
+        } catch (error) {
+            return next(error);
+        }
+        const { comparison, before, after } = compared;
+        if (!comparison.is_success) res.status(422);
+        else if (res.locals.format === 'diff') return res.type(DIFF_FORMAT.diff.types[0]).send(toUnifiedDiff(before, after));
+        sendResult(res, comparison);
+    });
+
+    // Single-value explanation endpoint
+    endpoint('classify').post('/classify', {
+        summary: 'Explain how a single value is classified',
+        description: 'Classifies one value with the given options and lists every step of the decision: custom rules and built-in checks tried, the number parsed and the bucket chosen.',
+        tags: ['Processing'],
+        auth: 'apiKey',
+        query: { ...FORMAT_QUERY, ...STRICT_QUERY },
+        body: { 'application/json': 'ClassifyRequest' },
+        responses: {
+            200: { description: 'The decision, step by step', schema: 'Explanation', types: RESULT_TYPES },
+            400: 'Malformed request',
+            406: 'Unsupported response format',
+            422: 'Invalid values in the request',
+            ...GUARD_RESPONSES
+        }
+    }, guarded, requireFormat, async (req, res, next) => {
+        const validation = validateProcessRequest(req.body, { strict: isStrict(req), schema: classifyRequestSchema, ...requestSettings });
+        if (validation.status) return rejectInvalid(res, validation);
+
+        try {
+            const quota = await limiter.consumeItems(req, 1);
+            if (!quota.allowed) return limiter.rejectQuota(res, quota);
+        } catch (error) {
+            return next(error);
+        }
+
+        let explanation;
+        try {
+            const limited = createTimeLimit(req.body, config.processing.pattern_time_limit_ms);
+            explanation = limited(() => explainItem(req.body, processingContext(req)));
+        } catch (error) {
+            return next(error);
+        }
+        if (!explanation.is_success) {
+            res.status(422);
+            return sendResult(res, { ...explanation, code: 'PROCESSING_ERROR' });
+        }
+        sendResult(res, explanation);
+    });
+
+    // Handle 404 for unknown routes
+    router.use((req, res) => {
+        res.status(404).json({
+            is_success: false,
+            error: 'Route not found',
+            code: 'ROUTE_NOT_FOUND',
+            message: `Route ${req.method} ${req.originalUrl} not found`
+        });
+    });
+
+    // Global error handler
+    router.use((error, req, res, next) => {
+        // Body parser failures are the client's fault
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ is_success: false, error: 'Malformed JSON body', code: 'INVALID_JSON', message: error.message });
+        }
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ is_success: false, error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE', message: error.message });
+        }
+        // The request's own patterns ran out of time (see time-limit.js)
+        if (error.code === 'PATTERN_TIMEOUT') {
+            return res.status(422).json({ is_success: false, error: 'Pattern time limit exceeded', code: error.code, message: error.message });
+        }
+
+        (req.log || logger).error('unhandled error', { error });
+        res.status(500).json({
+            is_success: false,
+            error: 'Internal server error',
+            code: 'INTERNAL_ERROR',
+            message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    });
+
+    return { router, config, logger, registry, lifecycle, jobQueue, usageStore, resultStore, profileStore };
+}
+
+// An Express app serving the API at its root; the processor is kept in
+// app.locals.processor
+function createApp(options = {}) {
+    const processor = createProcessor(options);
+    const app = express();
+    // Client addresses (rate limits and anonymous ownership) come from
+    // X-Forwarded-For only through trusted proxies
+    app.set('trust proxy', processor.config.trust_proxy);
+    app.use(processor.router);
+    app.locals.processor = processor;
+    return app;
+}
+
+module.exports = {
+    createApp,
+    createProcessor
+};
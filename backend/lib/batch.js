@@ -0,0 +1,78 @@
+// Batch processing: run many datasets through processArrayData in one request
+const { processArrayData, parseNumber, formatDecimal, addDecimals } = require('./shared');
+const { MAX_BATCH_ENTRIES } = require('./schemas');
+const { validateProcessRequest } = require('./validation');
+
+// Categories totalled in the batch summary
+const SUMMARY_BUCKETS = ['odd_numbers', 'even_numbers', 'alphabets', 'special_characters'];
+
+// Process a single entry; validation errors and any unexpected throw are
+// contained to that entry
+function processEntry(entry, index, context, { strict, limits }) {
+    const isObject = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+    const id = isObject && entry.id !== undefined ? entry.id : index;
+
+    try {
+        // `id` is the only field an entry has beyond a /process body
+        const fields = isObject ? { ...entry } : entry;
+        if (isObject) delete fields.id;
+        const { errors } = validateProcessRequest(fields, {
+            strict,
+            pointer: `/entries/${index}`,
+            limits,
+            defaults: context.options
+        });
+        if (errors.length > 0) {
+            return { id, is_success: false, error: errors[0].message, code: errors[0].code, errors };
+        }
+        return { id, ...processArrayData(fields, context) };
+    } catch (error) {
+        return { id, is_success: false, error: error.message, code: 'PROCESSING_ERROR' };
+    }
+}
+
+function summarize(results) {
+    const counts = {};
+    SUMMARY_BUCKETS.forEach(bucket => {
+        counts[bucket] = 0;
+    });
+
+    let total = { value: 0n, scale: 0 };
+    let succeeded = 0;
+
+    results.forEach(result => {
+        if (!result.is_success) return;
+        succeeded++;
+        SUMMARY_BUCKETS.forEach(bucket => {
+            counts[bucket] += (result[bucket] || []).length;
+        });
+        const sum = parseNumber(result.sum, { number_mode: 'extended' });
+        if (sum) total = addDecimals(total, sum);
+    });
+
+    return {
+        total_entries: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        counts,
+        sum: formatDecimal(total)
+    };
+}
+
+// Returns the batch response body. The batch itself must already have been
+// validated against batchRequestSchema; `strict` and `limits` (see
+// validateProcessRequest) apply to every entry.
+function processBatch(body, context = {}, { strict = false, limits = null } = {}) {
+    const results = body.entries.map((entry, index) => processEntry(entry, index, context, { strict, limits }));
+
+    return {
+        is_success: true,
+        results,
+        summary: summarize(results)
+    };
+}
+
+module.exports = {
+    MAX_BATCH_ENTRIES,
+    processBatch
+};
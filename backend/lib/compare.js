@@ -0,0 +1,228 @@
+// Dataset comparison: classify two datasets with the same options and report
+// how every category changed, as JSON or as a unified diff
+const { processArrayData, parseNumber, formatDecimal, addDecimals } = require('./shared');
+
+// Beyond this many edits a category's diff is shown as a full replacement
+const MAX_DIFF_EDITS = 1000;
+// Unchanged lines shown around each change in the unified diff
+const DIFF_CONTEXT = 3;
+
+// Route-specific response format for acceptFormats (see formats.js)
+const DIFF_FORMAT = { diff: { types: ['text/x-diff', 'text/plain'] } };
+
+// Lists in a result that are not classified items
+const NON_ITEM_LISTS = ['pipeline_trace'];
+
+// Item lists compared: the legacy buckets plus any other list a result has
+// (decimal numbers, extended taxonomy buckets)
+function categoriesOf(before, after) {
+    const lists = result => Object.keys(result).filter(key => Array.isArray(result[key]) && !NON_ITEM_LISTS.includes(key));
+    return Array.from(new Set(lists(before).concat(lists(after))));
+}
+
+function decimalDelta(from, to) {
+    const start = parseNumber(from, { number_mode: 'extended' });
+    const end = parseNumber(to, { number_mode: 'extended' });
+    return formatDecimal(addDecimals(end, { value: -start.value, scale: start.scale }));
+}
+
+// Multiset difference: duplicates count, so ['a', 'a'] -> ['a'] removes one 'a'
+function compareItems(before, after) {
+    const remaining = new Map();
+    before.forEach(item => remaining.set(item, (remaining.get(item) || 0) + 1));
+
+    const added = [];
+    const common = [];
+    after.forEach(item => {
+        const count = remaining.get(item) || 0;
+        if (count > 0) {
+            remaining.set(item, count - 1);
+            common.push(item);
+        } else {
+            added.push(item);
+        }
+    });
+    const removed = [];
+    before.slice().reverse().forEach(item => {
+        const count = remaining.get(item) || 0;
+        if (count > 0) {
+            remaining.set(item, count - 1);
+            removed.push(item);
+        }
+    });
+
+    return {
+        added,
+        removed: removed.reverse(),
+        common,
+        count: { before: before.length, after: after.length, delta: after.length - before.length }
+    };
+}
+
+// Classify `body.before` and `body.after` (validated against
+// compareRequestSchema) with `body.options` and `body.pipeline`. Items are
+// compared by value, so the provenance option is ignored. Returns
+// { comparison, before, after } where `comparison` is the response body and
+// before/after are the two classification results.
+function compareDatasets(body, context = {}) {
+    const options = { ...body.options, provenance: false };
+    const classify = data => processArrayData({ data, options, pipeline: body.pipeline }, context);
+    const before = classify(body.before);
+    const after = classify(body.after);
+
+    const failed = [['before', before], ['after', after]].find(([, result]) => !result.is_success);
+    if (failed) {
+        return {
+            comparison: { is_success: false, error: `${failed[0]}: ${failed[1].error}`, code: 'PROCESSING_ERROR' },
+            before,
+            after
+        };
+    }
+
+    const categories = {};
+    categoriesOf(before, after).forEach(category => {
+        categories[category] = compareItems(before[category] || [], after[category] || []);
+    });
+
+    return {
+        comparison: {
+            is_success: true,
+            categories,
+            sum: { before: before.sum, after: after.sum, delta: decimalDelta(before.sum, after.sum) },
+            item_count: {
+                before: body.before.length,
+                after: body.after.length,
+                delta: body.after.length - body.before.length
+            },
+            core_version: before.core_version
+        },
+        before,
+        after
+    };
+}
+
+// Shortest edit script from `a` to `b` (Myers' O(ND) algorithm) as
+// [{ op: ' ' | '-' | '+', value }]. Lists needing more than MAX_DIFF_EDITS
+// edits are reported as removed and re-added in full.
+function diffLists(a, b) {
+    const n = a.length;
+    const m = b.length;
+    // layers[d][k]: furthest x on diagonal k (x - y) after d edits
+    const layers = [];
+
+    for (let d = 0; d <= Math.min(n + m, MAX_DIFF_EDITS); d++) {
+        const previous = layers[d - 1];
+        const layer = {};
+        for (let k = -d; k <= d; k += 2) {
+            const down = d > 0 && (k === -d || (k !== d && previous[k - 1] < previous[k + 1]));
+            let x = d === 0 ? 0 : down ? previous[k + 1] : previous[k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            layer[k] = x;
+            if (x >= n && y >= m) {
+                layers.push(layer);
+                return backtrack(layers, a, b);
+            }
+        }
+        layers.push(layer);
+    }
+
+    return a.map(value => ({ op: '-', value })).concat(b.map(value => ({ op: '+', value })));
+}
+
+function backtrack(layers, a, b) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = layers.length - 1; d > 0; d--) {
+        const previous = layers[d - 1];
+        const k = x - y;
+        const down = k === -d || (k !== d && previous[k - 1] < previous[k + 1]);
+        const startX = down ? previous[k + 1] : previous[k - 1] + 1;
+        const startY = startX - k;
+        // The matching run that followed the edit
+        while (x > startX && y > startY) {
+            edits.push({ op: ' ', value: a[--x] });
+            y--;
+        }
+        if (down) edits.push({ op: '+', value: b[--y] });
+        else edits.push({ op: '-', value: a[--x] });
+    }
+    while (x > 0 && y > 0) {
+        edits.push({ op: ' ', value: a[--x] });
+        y--;
+    }
+    return edits.reverse();
+}
+
+// Items spanning lines are quoted so every item stays on one line
+function diffLine(op, value) {
+    return `${op}${/[\r\n]/.test(value) ? JSON.stringify(value) : value}`;
+}
+
+// `-start,count` of a hunk; an empty range names the line before it
+function hunkRange(start, count) {
+    return `${count === 0 ? start : start + 1},${count}`;
+}
+
+// Hunks of a category's edit script with DIFF_CONTEXT lines of context
+function hunks(edits) {
+    const changed = [];
+    edits.forEach((edit, index) => {
+        if (edit.op !== ' ') changed.push(index);
+    });
+
+    // Group changes whose context windows touch
+    const groups = [];
+    changed.forEach(index => {
+        const last = groups[groups.length - 1];
+        if (last && index - last.end <= 2 * DIFF_CONTEXT + 1) last.end = index;
+        else groups.push({ start: index, end: index });
+    });
+
+    // Line counts of a and b before each edit
+    const positions = [];
+    let aLine = 0;
+    let bLine = 0;
+    edits.forEach(edit => {
+        positions.push({ a: aLine, b: bLine });
+        if (edit.op !== '+') aLine++;
+        if (edit.op !== '-') bLine++;
+    });
+
+    return groups.map(({ start, end }) => {
+        const first = Math.max(0, start - DIFF_CONTEXT);
+        const lines = edits.slice(first, Math.min(edits.length, end + DIFF_CONTEXT + 1));
+        const aCount = lines.filter(edit => edit.op !== '+').length;
+        const bCount = lines.filter(edit => edit.op !== '-').length;
+        const header = `@@ -${hunkRange(positions[first].a, aCount)} +${hunkRange(positions[first].b, bCount)} @@`;
+        return [header].concat(lines.map(edit => diffLine(edit.op, edit.value))).join('\n');
+    });
+}
+
+// Unified diff of two classification results: one file per changed
+// category, its items one per line in response order. Empty when nothing
+// changed.
+function toUnifiedDiff(before, after) {
+    const sections = categoriesOf(before, after).map(category => {
+        const categoryHunks = hunks(diffLists(before[category] || [], after[category] || []));
+        if (categoryHunks.length === 0) return null;
+        return [`--- before/${category}`, `+++ after/${category}`].concat(categoryHunks).join('\n');
+    }).filter(Boolean);
+
+    if (before.sum !== after.sum) {
+        sections.push(['--- before/sum', '+++ after/sum', '@@ -1,1 +1,1 @@', `-${before.sum}`, `+${after.sum}`].join('\n'));
+    }
+    return sections.length > 0 ? `${sections.join('\n')}\n` : '';
+}
+
+module.exports = {
+    DIFF_FORMAT,
+    compareDatasets,
+    diffLists,
+    toUnifiedDiff
+};
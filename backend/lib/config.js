@@ -0,0 +1,384 @@
+// Server configuration: defaults, then a config file, then environment
+// variables, validated once at startup.
+//
+// CONFIG_FILE points to a JSON or YAML file (by extension) holding any part
+// of DEFAULTS, e.g.
+//
+//   limits:
+//     max_items: 5000
+//   cors:
+//     origins: [https://example.com]
+//   endpoints:
+//     jobs: false
+//
+// Environment variables (ENV_SETTINGS) override the file. Any invalid value,
+// unknown key or malformed variable throws a ConfigError listing every
+// problem, so the server refuses to start rather than run half-configured.
+// Settings marked `x-secret` in the schema are left out of publicConfig, and
+// those marked `x-internal` (file paths, log redaction, proxy and callback
+// hosts) unless asked for.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { processArrayData, DEFAULT_IDENTITY } = require('./shared');
+const { optionsSchema, MAX_ITEMS, MAX_ITEM_LENGTH, MAX_BATCH_ENTRIES } = require('./schemas');
+const { validate } = require('./validation');
+const { LEVELS } = require('./logger');
+
+// Route groups that can be switched off (endpoints.<name>: false)
+const ENDPOINTS = ['process', 'batch', 'stream', 'compare', 'classify', 'jobs', 'results', 'admin', 'metrics', 'docs'];
+
+const DEFAULTS = deepFreeze({
+    port: 3001,
+    // Express `trust proxy`: false, a hop count, or addresses/subnets
+    trust_proxy: false,
+    limits: {
+        body_bytes: 10 * 1024 * 1024,
+        max_items: MAX_ITEMS,
+        max_item_length: MAX_ITEM_LENGTH,
+        max_batch_entries: MAX_BATCH_ENTRIES
+    },
+    cors: { origins: ['*'] },
+    endpoints: Object.fromEntries(ENDPOINTS.map(name => [name, true])),
+    processing: {
+        default_options: {},
+        rules_file: null,
+        strict_validation: false,
+        pattern_time_limit_ms: 1000
+    },
+    identity: {
+        default: { ...DEFAULT_IDENTITY },
+        profiles_file: null,
+        require_api_key: false,
+        admin_token: null
+    },
+    rate_limit: {
+        max: 300,
+        window_ms: 60 * 1000,
+        daily_item_quota: 1000000,
+        store: 'memory',
+        file: null
+    },
+    results: {
+        store: 'memory',
+        dir: null,
+        ttl_hours: 168,
+        max: 10000,
+        max_bytes: 100 * 1024 * 1024
+    },
+    jobs: {
+        concurrency: 1,
+        max_queued: 100,
+        ttl_hours: 24,
+        max_finished: 1000,
+        max_finished_bytes: 100 * 1024 * 1024,
+        callback_attempts: 5,
+        callback_backoff_ms: 1000,
+        callback_allowed_hosts: []
+    },
+    logging: {
+        level: 'info',
+        body_sample_rate: 0,
+        body_max_bytes: 10000,
+        redact_keys: [],
+        redact_patterns: []
+    },
+    shutdown: {
+        timeout_ms: 30000,
+        delay_ms: 0
+    },
+    metrics: { token: null }
+});
+
+const count = { type: 'integer', minimum: 1 };
+const duration = { type: 'integer', minimum: 0 };
+const internalOnly = schema => ({ ...schema, 'x-internal': true });
+const filePath = internalOnly({ type: ['string', 'null'], minLength: 1 });
+const secret = { type: ['string', 'null'], minLength: 1, 'x-secret': true };
+const flag = { type: 'boolean' };
+const section = properties => ({ type: 'object', properties });
+
+const configSchema = section({
+    port: { type: 'integer', minimum: 0, maximum: 65535 },
+    trust_proxy: internalOnly({ type: ['boolean', 'integer', 'string'], minimum: 0, minLength: 1 }),
+    limits: section({
+        body_bytes: count,
+        max_items: count,
+        max_item_length: count,
+        max_batch_entries: count
+    }),
+    cors: section({
+        origins: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }),
+    endpoints: section(Object.fromEntries(ENDPOINTS.map(name => [name, flag]))),
+    processing: section({
+        default_options: optionsSchema,
+        rules_file: filePath,
+        strict_validation: flag,
+        pattern_time_limit_ms: count
+    }),
+    identity: section({
+        default: section({
+            user_id: { type: 'string', minLength: 1 },
+            email: { type: 'string', minLength: 1 },
+            roll_number: { type: 'string', minLength: 1 }
+        }),
+        profiles_file: filePath,
+        require_api_key: flag,
+        admin_token: secret
+    }),
+    rate_limit: section({
+        max: count,
+        window_ms: count,
+        daily_item_quota: count,
+        store: { type: 'string', enum: ['memory', 'file'] },
+        file: filePath
+    }),
+    results: section({
+        store: { type: 'string', enum: ['memory', 'file', 'none'] },
+        dir: filePath,
+        ttl_hours: { type: 'number', minimum: 0 },
+        max: count,
+        max_bytes: count
+    }),
+    jobs: section({
+        concurrency: count,
+        max_queued: count,
+        ttl_hours: { type: 'number', minimum: 0 },
+        max_finished: count,
+        max_finished_bytes: count,
+        callback_attempts: count,
+        callback_backoff_ms: duration,
+        callback_allowed_hosts: internalOnly({ type: 'array', items: { type: 'string', minLength: 1 } })
+    }),
+    logging: section({
+        level: { type: 'string', enum: Object.keys(LEVELS) },
+        body_sample_rate: { type: 'number', minimum: 0, maximum: 1 },
+        body_max_bytes: count,
+        redact_keys: internalOnly({ type: 'array', items: { type: 'string', minLength: 1 } }),
+        redact_patterns: internalOnly({ type: 'array', items: { type: 'string', minLength: 1 } })
+    }),
+    shutdown: section({
+        timeout_ms: duration,
+        delay_ms: duration
+    }),
+    metrics: section({
+        token: secret
+    })
+});
+
+class ConfigError extends Error {
+    // `errors`: [{ pointer, message }]
+    constructor(errors) {
+        super(`Invalid configuration: ${errors.map(error => error.message).join('; ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const parseInteger = text => {
+    if (!/^-?\d+$/.test(text)) throw new Error('must be an integer');
+    return Number(text);
+};
+const parseNumber = text => {
+    const value = Number(text);
+    if (!Number.isFinite(value)) throw new Error('must be a number');
+    return value;
+};
+const parseBoolean = text => {
+    if (text !== 'true' && text !== 'false') throw new Error('must be true or false');
+    return text === 'true';
+};
+const parseList = text => text.split(',').map(item => item.trim()).filter(Boolean);
+const parseJson = text => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`must be valid JSON (${error.message})`);
+    }
+};
+const parseString = text => text;
+// true/false, a hop count, or a comma-separated list of addresses
+const parseTrustProxy = text => {
+    if (text === 'true' || text === 'false') return text === 'true';
+    return /^\d+$/.test(text) ? Number(text) : text;
+};
+
+// Environment variable -> [config path, parser]
+const ENV_SETTINGS = {
+    PORT: ['port', parseInteger],
+    TRUST_PROXY: ['trust_proxy', parseTrustProxy],
+    BODY_LIMIT_BYTES: ['limits.body_bytes', parseInteger],
+    MAX_ITEMS: ['limits.max_items', parseInteger],
+    MAX_ITEM_LENGTH: ['limits.max_item_length', parseInteger],
+    MAX_BATCH_ENTRIES: ['limits.max_batch_entries', parseInteger],
+    CORS_ORIGINS: ['cors.origins', parseList],
+    DEFAULT_OPTIONS: ['processing.default_options', parseJson],
+    RULES_FILE: ['processing.rules_file', parseString],
+    STRICT_VALIDATION: ['processing.strict_validation', parseBoolean],
+    PATTERN_TIME_LIMIT_MS: ['processing.pattern_time_limit_ms', parseInteger],
+    DEFAULT_USER_ID: ['identity.default.user_id', parseString],
+    DEFAULT_EMAIL: ['identity.default.email', parseString],
+    DEFAULT_ROLL_NUMBER: ['identity.default.roll_number', parseString],
+    PROFILES_FILE: ['identity.profiles_file', parseString],
+    REQUIRE_API_KEY: ['identity.require_api_key', parseBoolean],
+    ADMIN_TOKEN: ['identity.admin_token', parseString],
+    RATE_LIMIT_MAX: ['rate_limit.max', parseInteger],
+    RATE_LIMIT_WINDOW_MS: ['rate_limit.window_ms', parseInteger],
+    DAILY_ITEM_QUOTA: ['rate_limit.daily_item_quota', parseInteger],
+    USAGE_STORE: ['rate_limit.store', parseString],
+    USAGE_FILE: ['rate_limit.file', parseString],
+    RESULTS_STORE: ['results.store', parseString],
+    RESULTS_DIR: ['results.dir', parseString],
+    RESULTS_TTL_HOURS: ['results.ttl_hours', parseNumber],
+    RESULTS_MAX: ['results.max', parseInteger],
+    RESULTS_MAX_BYTES: ['results.max_bytes', parseInteger],
+    JOBS_CONCURRENCY: ['jobs.concurrency', parseInteger],
+    JOBS_MAX_QUEUED: ['jobs.max_queued', parseInteger],
+    JOBS_TTL_HOURS: ['jobs.ttl_hours', parseNumber],
+    JOBS_MAX_FINISHED: ['jobs.max_finished', parseInteger],
+    JOBS_MAX_FINISHED_BYTES: ['jobs.max_finished_bytes', parseInteger],
+    JOBS_CALLBACK_ATTEMPTS: ['jobs.callback_attempts', parseInteger],
+    JOBS_CALLBACK_BACKOFF_MS: ['jobs.callback_backoff_ms', parseInteger],
+    JOBS_CALLBACK_ALLOWED_HOSTS: ['jobs.callback_allowed_hosts', parseList],
+    LOG_LEVEL: ['logging.level', parseString],
+    LOG_BODY_SAMPLE_RATE: ['logging.body_sample_rate', parseNumber],
+    LOG_BODY_MAX_BYTES: ['logging.body_max_bytes', parseInteger],
+    LOG_REDACT_KEYS: ['logging.redact_keys', parseList],
+    LOG_REDACT_PATTERNS: ['logging.redact_patterns', parseJson],
+    SHUTDOWN_TIMEOUT_MS: ['shutdown.timeout_ms', parseInteger],
+    SHUTDOWN_DELAY_MS: ['shutdown.delay_ms', parseInteger],
+    METRICS_TOKEN: ['metrics.token', parseString]
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; anything else in `override` replaces `base`
+function merge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override;
+    const merged = { ...base };
+    Object.keys(override).forEach(key => {
+        merged[key] = merge(base[key], override[key]);
+    });
+    return merged;
+}
+
+function setPath(target, dotted, value) {
+    const keys = dotted.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+        node[key] = node[key] || {};
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(path.resolve(file), 'utf8');
+    } catch (error) {
+        throw new ConfigError([{ pointer: '', message: `Cannot read config file ${file}: ${error.message}` }]);
+    }
+
+    try {
+        const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+        if (parsed === null || parsed === undefined) return {};
+        if (!isPlainObject(parsed)) throw new Error('the top level must be an object');
+        return parsed;
+    } catch (error) {
+        throw new ConfigError([{ pointer: '', message: `Invalid config file ${file}: ${error.message}` }]);
+    }
+}
+
+// Settings given by environment variables; empty variables count as unset
+function readEnv(env, errors) {
+    const settings = {};
+    Object.keys(ENV_SETTINGS).forEach(name => {
+        if (env[name] === undefined || env[name] === '') return;
+        const [target, parse] = ENV_SETTINGS[name];
+        try {
+            setPath(settings, target, parse(env[name]));
+        } catch (error) {
+            errors.push({ pointer: `/${target.replace(/\./g, '/')}`, message: `${name} ${error.message}` });
+        }
+    });
+
+    // DISABLED_ENDPOINTS=compare,jobs switches route groups off
+    if (env.DISABLED_ENDPOINTS) {
+        parseList(env.DISABLED_ENDPOINTS).forEach(name => {
+            if (ENDPOINTS.includes(name)) setPath(settings, `endpoints.${name}`, false);
+            else errors.push({ pointer: '/endpoints', message: `DISABLED_ENDPOINTS names an unknown endpoint group: ${name} (expected ${ENDPOINTS.join(', ')})` });
+        });
+    }
+    return settings;
+}
+
+// Checks beyond the schema: settings the core or the logger would only
+// reject once in use
+function checkSemantics(config, errors) {
+    const probe = processArrayData({ data: [], options: config.processing.default_options });
+    if (!probe.is_success) {
+        errors.push({ pointer: '/processing/default_options', message: `/processing/default_options: ${probe.error}` });
+    }
+    config.logging.redact_patterns.forEach((pattern, index) => {
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            errors.push({ pointer: `/logging/redact_patterns/${index}`, message: `/logging/redact_patterns/${index} ${error.message}` });
+        }
+    });
+}
+
+// The effective configuration, deeply frozen. `env` defaults to
+// process.env; `file` to its CONFIG_FILE. `overrides` (settings given in
+// code) apply over both.
+function loadConfig({ env = process.env, file = env.CONFIG_FILE, overrides = {} } = {}) {
+    const fromFile = file ? readConfigFile(file) : {};
+    const errors = [];
+    const fromEnv = readEnv(env, errors);
+    if (errors.length > 0) throw new ConfigError(errors);
+
+    const config = [fromFile, fromEnv, overrides].reduce(merge, DEFAULTS);
+    const { errors: schemaErrors } = validate(configSchema, config, { strict: true });
+    schemaErrors.forEach(({ pointer, message }) => errors.push({ pointer, message }));
+    if (errors.length === 0) checkSemantics(config, errors);
+    if (errors.length > 0) throw new ConfigError(errors);
+
+    return deepFreeze(config);
+}
+
+function deepFreeze(value) {
+    if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+// `config` without the settings its schema marks x-secret, nor (unless
+// `internal` is set) those it marks x-internal
+function publicConfig(config, { internal = false } = {}) {
+    const visible = (value, schema) => {
+        if (!isPlainObject(value) || !schema.properties) return value;
+        const view = {};
+        Object.keys(value).forEach(key => {
+            const property = schema.properties[key] || {};
+            if (property['x-secret'] || (property['x-internal'] && !internal)) return;
+            view[key] = visible(value[key], property);
+        });
+        return view;
+    };
+    return visible(config, configSchema);
+}
+
+module.exports = {
+    ENDPOINTS,
+    DEFAULTS,
+    ENV_SETTINGS,
+    ConfigError,
+    loadConfig,
+    publicConfig
+};
@@ -0,0 +1,251 @@
+// Result serialization: the same result object rendered as JSON, CSV, XML,
+// YAML or MessagePack, chosen by the `format` query parameter or the Accept
+// header
+
+// Flatten nested values into [path, scalar] pairs. Arrays of scalars keep the
+// parent's path (one pair per element); everything else gets dotted paths.
+function flatten(value, path, pairs) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            const isScalar = item === null || typeof item !== 'object';
+            flatten(item, isScalar ? path : `${path}.${index}`, pairs);
+        });
+    } else if (value !== null && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            flatten(value[key], path ? `${path}.${key}` : key, pairs);
+        });
+    } else {
+        pairs.push([path, value]);
+    }
+    return pairs;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One `field,value` row per scalar; array items each get their own row, so
+// every category can be filtered out of the export by its field name
+function toCsv(result) {
+    const rows = flatten(result, '', []).map(([field, value]) => `${csvCell(field)},${csvCell(value)}`);
+    return ['field,value', ...rows].join('\r\n') + '\r\n';
+}
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Keys such as custom category names may not be valid element names
+function xmlName(key) {
+    const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+function xmlElement(name, value, indent) {
+    const pad = '  '.repeat(indent);
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${pad}<${name} type="array"/>\n`;
+        const items = value.map(item => xmlElement('item', item, indent + 1)).join('');
+        return `${pad}<${name} type="array">\n${items}${pad}</${name}>\n`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const children = Object.keys(value)
+            .map(key => xmlElement(xmlName(key), value[key], indent + 1))
+            .join('');
+        return `${pad}<${name}>\n${children}${pad}</${name}>\n`;
+    }
+    if (value === null || value === undefined) {
+        return `${pad}<${name} nil="true"/>\n`;
+    }
+    return `${pad}<${name}>${xmlEscape(value)}</${name}>\n`;
+}
+
+function toXml(result) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement('result', result, 0)}`;
+}
+
+// YAML scalars: JSON string syntax is a valid YAML double-quoted scalar, so
+// strings are always quoted and never misread as numbers or booleans
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+}
+
+function yamlLines(value, indent) {
+    const pad = '  '.repeat(indent);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return null;
+        return value.map(item => {
+            if (item === null || typeof item !== 'object') return `${pad}- ${yamlScalar(item)}`;
+            const nested = yamlLines(item, indent + 1);
+            return nested === null ? `${pad}- ${emptyOf(item)}` : `${pad}-\n${nested}`;
+        }).join('\n');
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 0) return null;
+    return keys.map(key => {
+        const item = value[key];
+        const label = `${pad}${/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : JSON.stringify(key)}:`;
+        if (item !== null && typeof item === 'object') {
+            const nested = yamlLines(item, indent + 1);
+            return nested === null ? `${label} ${emptyOf(item)}` : `${label}\n${nested}`;
+        }
+        return `${label} ${yamlScalar(item)}`;
+    }).join('\n');
+}
+
+function emptyOf(value) {
+    return Array.isArray(value) ? '[]' : '{}';
+}
+
+function toYaml(result) {
+    return `${yamlLines(result, 0) || '{}'}\n`;
+}
+
+// Minimal MessagePack encoder covering the JSON data model
+function encodeMsgpack(value, chunks) {
+    if (value === null || value === undefined) {
+        chunks.push(Buffer.from([0xc0]));
+    } else if (typeof value === 'boolean') {
+        chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+    } else if (typeof value === 'number') {
+        encodeMsgpackNumber(value, chunks);
+    } else if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        chunks.push(msgpackHeader(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]), bytes);
+    } else if (Array.isArray(value)) {
+        chunks.push(msgpackHeader(value.length, 0x90, 15, [null, 0xdc, 0xdd]));
+        value.forEach(item => encodeMsgpack(item, chunks));
+    } else if (typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined);
+        chunks.push(msgpackHeader(keys.length, 0x80, 15, [null, 0xde, 0xdf]));
+        keys.forEach(key => {
+            encodeMsgpack(key, chunks);
+            encodeMsgpack(value[key], chunks);
+        });
+    } else {
+        throw new Error(`Cannot encode ${typeof value} as MessagePack`);
+    }
+}
+
+// Length header: fix-format when small, else the 8/16/32-bit form
+function msgpackHeader(length, fixPrefix, fixMax, [code8, code16, code32]) {
+    if (length <= fixMax) return Buffer.from([fixPrefix | length]);
+    if (code8 !== null && length <= 0xff) return Buffer.from([code8, length]);
+    if (length <= 0xffff) {
+        const buffer = Buffer.alloc(3);
+        buffer[0] = code16;
+        buffer.writeUInt16BE(length, 1);
+        return buffer;
+    }
+    const buffer = Buffer.alloc(5);
+    buffer[0] = code32;
+    buffer.writeUInt32BE(length, 1);
+    return buffer;
+}
+
+function encodeMsgpackNumber(value, chunks) {
+    if (Number.isInteger(value) && value >= 0 && value <= 0x7f) {
+        chunks.push(Buffer.from([value]));
+    } else if (Number.isInteger(value) && value < 0 && value >= -32) {
+        chunks.push(Buffer.from([0xe0 | (value + 32)]));
+    } else if (Number.isInteger(value) && value >= -0x80000000 && value <= 0xffffffff) {
+        const buffer = Buffer.alloc(5);
+        if (value < 0) {
+            buffer[0] = 0xd2;
+            buffer.writeInt32BE(value, 1);
+        } else {
+            buffer[0] = 0xce;
+            buffer.writeUInt32BE(value, 1);
+        }
+        chunks.push(buffer);
+    } else {
+        const buffer = Buffer.alloc(9);
+        buffer[0] = 0xcb;
+        buffer.writeDoubleBE(value, 1);
+        chunks.push(buffer);
+    }
+}
+
+function toMsgpack(result) {
+    const chunks = [];
+    encodeMsgpack(result, chunks);
+    return Buffer.concat(chunks);
+}
+
+// Supported formats, keyed by `format` query value. The first MIME type is
+// the Content-Type sent back; the rest are accepted aliases.
+const FORMATS = {
+    json: { types: ['application/json'], serialize: result => JSON.stringify(result) },
+    csv: { types: ['text/csv'], serialize: toCsv },
+    xml: { types: ['application/xml', 'text/xml'], serialize: toXml },
+    yaml: { types: ['application/yaml', 'application/x-yaml', 'text/yaml'], serialize: toYaml },
+    msgpack: {
+        types: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack'],
+        serialize: toMsgpack
+    }
+};
+
+// Pick the response format for a request among `formats`; returns null when
+// none is acceptable
+function negotiateFormat(req, formats = FORMATS) {
+    if (req.query.format !== undefined) {
+        return Object.prototype.hasOwnProperty.call(formats, req.query.format) ? req.query.format : null;
+    }
+
+    const allTypes = [].concat(...Object.values(formats).map(format => format.types));
+    const accepted = req.accepts(allTypes);
+    if (!accepted) return null;
+    return Object.keys(formats).find(name => formats[name].types.includes(accepted));
+}
+
+// Middleware factory: resolve the format up front and answer 406 if it is
+// unsupported. `extra` adds formats that one route renders itself, e.g.
+// { diff: { types: ['text/x-diff'] } }.
+function acceptFormats(extra = {}) {
+    const formats = { ...FORMATS, ...extra };
+    return (req, res, next) => {
+        const format = negotiateFormat(req, formats);
+        if (!format) {
+            return res.status(406).json({
+                is_success: false,
+                error: 'Not acceptable',
+                code: 'NOT_ACCEPTABLE',
+                message: `Supported formats: ${Object.keys(formats).join(', ')}`
+            });
+        }
+        res.locals.format = format;
+        next();
+    };
+}
+
+const requireFormat = acceptFormats();
+
+// Send a result in the format chosen by requireFormat (JSON by default, and
+// for route-specific formats, which only render their own results)
+function sendResult(res, result) {
+    const format = FORMATS[res.locals.format] || FORMATS.json;
+    res.locals.payload = result; // The unserialized body, for metrics
+    res.type(format.types[0]);
+    res.send(format.serialize(result));
+}
+
+module.exports = {
+    FORMATS,
+    negotiateFormat,
+    acceptFormats,
+    requireFormat,
+    sendResult,
+    toCsv,
+    toXml,
+    toYaml,
+    toMsgpack
+};
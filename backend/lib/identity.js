@@ -0,0 +1,303 @@
+// Per-client identity profiles.
+//
+// Each profile carries the user_id / email / roll_number reported in
+// responses. A caller is identified only by an API key (`X-API-Key` or
+// `Authorization: Bearer <key>`); a user id header is not a credential and is
+// ignored. Callers without a key get the demo identity.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateKey() {
+    return `adp_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Constant-time string comparison for secrets
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function validateProfileFields({ user_id, email, roll_number, rate_limit, daily_item_quota } = {}) {
+    if (typeof user_id !== 'string' || !user_id.trim()) {
+        throw new Error('user_id must be a non-empty string');
+    }
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+        throw new Error('email must be a valid email address');
+    }
+    if (typeof roll_number !== 'string' || !roll_number.trim()) {
+        throw new Error('roll_number must be a non-empty string');
+    }
+    // Optional per-profile overrides of the server's usage limits
+    [['rate_limit', rate_limit], ['daily_item_quota', daily_item_quota]].forEach(([name, value]) => {
+        if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+            throw new Error(`${name} must be a positive integer`);
+        }
+    });
+}
+
+// Profile fields safe to return from admin endpoints
+function publicProfile(profile) {
+    return {
+        id: profile.id,
+        user_id: profile.user_id,
+        email: profile.email,
+        roll_number: profile.roll_number,
+        rate_limit: profile.rate_limit || null,
+        daily_item_quota: profile.daily_item_quota || null,
+        created_at: profile.created_at,
+        revoked_at: profile.revoked_at || null
+    };
+}
+
+// In-memory profile store, optionally backed by a JSON file. Keys are only
+// ever stored hashed; plaintext `api_key` entries in the file are hashed on
+// load and the file is rewritten without them on the next change.
+class ProfileStore {
+    constructor({ file } = {}) {
+        this.file = file ? path.resolve(file) : null;
+        this.profiles = new Map();
+        if (this.file && fs.existsSync(this.file)) {
+            this.load();
+        }
+    }
+
+    load() {
+        const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        const profiles = Array.isArray(parsed) ? parsed : parsed.profiles || [];
+
+        profiles.forEach((entry, index) => {
+            try {
+                validateProfileFields(entry);
+            } catch (error) {
+                throw new Error(`Invalid profile at index ${index} in ${this.file}: ${error.message}`);
+            }
+            const profile = {
+                id: entry.id || crypto.randomUUID(),
+                user_id: entry.user_id,
+                email: entry.email,
+                roll_number: entry.roll_number,
+                rate_limit: entry.rate_limit || null,
+                daily_item_quota: entry.daily_item_quota || null,
+                api_key_hash: entry.api_key ? hashKey(entry.api_key) : entry.api_key_hash || null,
+                created_at: entry.created_at || new Date().toISOString(),
+                revoked_at: entry.revoked_at || null
+            };
+            this.profiles.set(profile.id, profile);
+        });
+    }
+
+    save() {
+        if (!this.file) return;
+        const profiles = Array.from(this.profiles.values());
+        fs.writeFileSync(this.file, JSON.stringify({ profiles }, null, 2));
+    }
+
+    list() {
+        return Array.from(this.profiles.values());
+    }
+
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    // Returns { profile, apiKey }; the plaintext key is not kept
+    create(fields) {
+        validateProfileFields(fields);
+        if (this.findByUserId(fields.user_id)) {
+            const error = new Error(`A profile for user_id "${fields.user_id}" already exists`);
+            error.status = 409;
+            error.code = 'PROFILE_EXISTS';
+            throw error;
+        }
+
+        const apiKey = generateKey();
+        const profile = {
+            id: crypto.randomUUID(),
+            user_id: fields.user_id.trim(),
+            email: fields.email,
+            roll_number: fields.roll_number.trim(),
+            rate_limit: fields.rate_limit || null,
+            daily_item_quota: fields.daily_item_quota || null,
+            api_key_hash: hashKey(apiKey),
+            created_at: new Date().toISOString(),
+            revoked_at: null
+        };
+        this.profiles.set(profile.id, profile);
+        this.save();
+        return { profile, apiKey };
+    }
+
+    revoke(id) {
+        const profile = this.get(id);
+        if (!profile) return null;
+        if (!profile.revoked_at) {
+            profile.revoked_at = new Date().toISOString();
+            this.save();
+        }
+        return profile;
+    }
+
+    // Active profiles only
+    findByApiKey(apiKey) {
+        const hash = hashKey(apiKey);
+        return this.list().find(profile =>
+            !profile.revoked_at && profile.api_key_hash && safeEqual(profile.api_key_hash, hash)) || null;
+    }
+
+    findByUserId(userId) {
+        return this.list().find(profile => !profile.revoked_at && profile.user_id === userId) || null;
+    }
+}
+
+// Key that per-client state (usage, stored results) is tracked under: the
+// caller's profile, or the IP address for anonymous callers
+function clientKey(req) {
+    return req.identity ? `profile:${req.identity.id}` : `ip:${req.ip}`;
+}
+
+// True when the request carries the configured admin token
+function hasAdminToken(req, adminToken) {
+    return Boolean(adminToken) && safeEqual(req.get('X-Admin-Token') || '', adminToken);
+}
+
+function readApiKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header;
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+}
+
+// Middleware: sets req.identity to the caller's profile (null for the demo
+// identity) and req.authenticatedByKey when a valid API key was sent. An
+// unknown or revoked key is rejected with 401.
+function resolveIdentity(store) {
+    return (req, res, next) => {
+        const apiKey = readApiKey(req);
+        let profile = null;
+
+        if (apiKey) {
+            profile = store.findByApiKey(apiKey);
+            if (!profile) {
+                return res.status(401).json({ is_success: false, error: 'Invalid or revoked API key', code: 'INVALID_API_KEY' });
+            }
+        }
+
+        req.identity = profile;
+        req.authenticatedByKey = Boolean(apiKey);
+        next();
+    };
+}
+
+// Admin endpoints for managing profiles, guarded by the X-Admin-Token header.
+// They are disabled entirely when no admin token is configured. `limiter`
+// (see rate-limit.js) enables the per-profile usage endpoint; routes are
+// documented in `registry` (see openapi.js) under /admin.
+function createAdminRouter(store, adminToken, { limiter, registry }) {
+    const router = express.Router();
+    const api = registry.on(router, '/admin');
+    const adminErrors = {
+        401: 'Invalid admin token',
+        403: 'Admin endpoints are disabled (ADMIN_TOKEN not set)'
+    };
+
+    router.use((req, res, next) => {
+        if (!adminToken) {
+            return res.status(403).json({ is_success: false, error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)', code: 'ADMIN_DISABLED' });
+        }
+        if (!hasAdminToken(req, adminToken)) {
+            return res.status(401).json({ is_success: false, error: 'Invalid admin token', code: 'INVALID_ADMIN_TOKEN' });
+        }
+        next();
+    });
+
+    api.get('/profiles', {
+        summary: 'List identity profiles (admin)',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: {
+            200: { description: 'All profiles; API keys are never returned', schema: { type: 'object', properties: { profiles: { type: 'array', items: { $ref: '#/components/schemas/Profile' } } } } },
+            ...adminErrors
+        }
+    }, (req, res) => {
+        res.json({ is_success: true, profiles: store.list().map(publicProfile) });
+    });
+
+    api.post('/profiles', {
+        summary: 'Create an identity profile and API key (admin)',
+        tags: ['Admin'],
+        auth: 'admin',
+        body: { 'application/json': 'ProfileCreate' },
+        responses: {
+            201: { description: 'The profile and its API key, shown only this once', schema: { type: 'object', properties: { profile: { $ref: '#/components/schemas/Profile' }, api_key: { type: 'string' } } } },
+            400: 'Invalid profile fields',
+            409: 'A profile for this user_id already exists',
+            ...adminErrors
+        }
+    }, (req, res) => {
+        try {
+            const { profile, apiKey } = store.create(req.body || {});
+            // The API key is only ever shown here
+            res.status(201).json({ is_success: true, profile: publicProfile(profile), api_key: apiKey });
+        } catch (error) {
+            res.status(error.status || 400).json({ is_success: false, error: error.message, code: error.code || 'INVALID_PROFILE' });
+        }
+    });
+
+    api.get('/profiles/:id/usage', {
+        summary: 'Usage for an identity profile (admin)',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: { 200: { description: 'Current usage', schema: 'Usage' }, 404: 'Profile not found', ...adminErrors }
+    }, async (req, res, next) => {
+        const profile = store.get(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ is_success: false, error: `Profile ${req.params.id} not found`, code: 'PROFILE_NOT_FOUND' });
+        }
+        if (!limiter) {
+            return res.status(404).json({ is_success: false, error: 'Usage tracking is not enabled', code: 'USAGE_DISABLED' });
+        }
+        try {
+            res.json({ is_success: true, ...(await limiter.usage({ identity: profile })) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    api.delete('/profiles/:id', {
+        summary: 'Revoke an identity profile (admin)',
+        tags: ['Admin'],
+        auth: 'admin',
+        responses: {
+            200: { description: 'The revoked profile', schema: { type: 'object', properties: { profile: { $ref: '#/components/schemas/Profile' } } } },
+            404: 'Profile not found',
+            ...adminErrors
+        }
+    }, (req, res) => {
+        const profile = store.revoke(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ is_success: false, error: `Profile ${req.params.id} not found`, code: 'PROFILE_NOT_FOUND' });
+        }
+        res.json({ is_success: true, profile: publicProfile(profile) });
+    });
+
+    return router;
+}
+
+module.exports = {
+    ProfileStore,
+    resolveIdentity,
+    createAdminRouter,
+    clientKey,
+    hasAdminToken,
+    publicProfile,
+    safeEqual
+};
@@ -0,0 +1,200 @@
+// Asynchronous processing jobs: a FIFO queue run `concurrency` jobs at a
+// time.
+//
+// Each job is classified in a worker thread (job-worker.js), so a large
+// input never blocks the server's event loop and a running job can be
+// cancelled by terminating its worker. Jobs live in memory; a job's input
+// is dropped once it starts or is cancelled, and finished jobs are dropped
+// `ttlMs` after they finish, or sooner (oldest first) when more than
+// `maxFinished` of them, or more than `maxFinishedBytes` of their results,
+// are kept. On shutdown, drain() stops new submissions and waits for the
+// accepted jobs.
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Classify `input` ({ body, context }) in a worker thread, reporting
+// `onProgress(classified, total)` as items are classified. Returns
+// { result, cancel }; `result` resolves to the core's response.
+function runInWorker(input, onProgress = () => {}) {
+    const worker = new Worker(path.join(__dirname, 'job-worker.js'), { workerData: input });
+    const result = new Promise((resolve, reject) => {
+        worker.on('message', message => {
+            if (message.type === 'progress') onProgress(message.classified, message.total);
+            else resolve(message.response);
+        });
+        worker.once('error', reject);
+        worker.once('exit', code => reject(new Error(`Job worker exited with code ${code}`)));
+    });
+    return { result, cancel: () => worker.terminate() };
+}
+
+function isFinal(job) {
+    return FINAL_STATES.includes(job.status);
+}
+
+class JobQueue {
+    constructor({ concurrency = 1, maxQueued = 100, ttlMs = 24 * 60 * 60 * 1000, maxFinished = 1000, maxFinishedBytes = 100 * 1024 * 1024, run = runInWorker, now = Date.now } = {}) {
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.ttlMs = ttlMs;
+        this.maxFinished = maxFinished;
+        this.maxFinishedBytes = maxFinishedBytes;
+        this.run = run;
+        this.now = now;
+        // id -> { job, input, onSettled }
+        this.entries = new Map();
+        this.queued = [];
+        // id -> size of the result or error in bytes, in the order jobs finished
+        this.finished = new Map();
+        this.finishedBytes = 0;
+        // id -> cancel function of the running job
+        this.running = new Map();
+        // onSettled calls still in progress (e.g. callback deliveries)
+        this.settling = new Set();
+        this.closed = false;
+        this.idleWaiters = [];
+    }
+
+    get full() {
+        return this.queued.length >= this.maxQueued;
+    }
+
+    get idle() {
+        return this.queued.length === 0 && this.running.size === 0 && this.settling.size === 0;
+    }
+
+    stats() {
+        return { queued: this.queued.length, running: this.running.size, max_queued: this.maxQueued };
+    }
+
+    // Stop accepting jobs (see `closed`); resolves once every accepted job
+    // has finished and its onSettled work is done
+    drain() {
+        this.closed = true;
+        return new Promise(resolve => {
+            this.idleWaiters.push(resolve);
+            this.notifyIdle();
+        });
+    }
+
+    notifyIdle() {
+        if (!this.idle) return;
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    timestamp() {
+        return new Date(this.now()).toISOString();
+    }
+
+    // Queue a job. `input` is what the worker classifies; `onSettled(job)` is
+    // called once the job is completed, failed or cancelled.
+    submit({ client_key, item_count, input, callback_url = null }, onSettled = () => {}) {
+        this.purge();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            created_at: this.timestamp(),
+            started_at: null,
+            finished_at: null,
+            progress: { processed_items: 0, total_items: item_count },
+            result: null,
+            error: null,
+            callback: callback_url ? { url: callback_url, status: 'pending', attempts: 0, last_error: null } : null,
+            client_key
+        };
+        this.entries.set(job.id, { job, input, onSettled });
+        this.queued.push(job.id);
+        this.next();
+        return job;
+    }
+
+    // The job, or null once unknown or expired
+    get(id) {
+        this.purge();
+        const entry = this.entries.get(id);
+        return entry ? entry.job : null;
+    }
+
+    // Cancel a queued or running job; false if it already finished
+    cancel(id) {
+        const entry = this.entries.get(id);
+        if (!entry || isFinal(entry.job)) return false;
+
+        const stop = this.running.get(id);
+        this.queued = this.queued.filter(queuedId => queuedId !== id);
+        this.settle(entry, 'cancelled', {});
+        if (stop) stop();
+        return true;
+    }
+
+    next() {
+        while (this.running.size < this.concurrency && this.queued.length > 0) {
+            this.start(this.entries.get(this.queued.shift()));
+        }
+    }
+
+    start(entry) {
+        const { job } = entry;
+        job.status = 'running';
+        job.started_at = this.timestamp();
+
+        // The core counts classified entries, which pipelines and structured
+        // input make differ from the submitted items; report the same share
+        const { result, cancel } = this.run(entry.input, (classified, total) => {
+            if (isFinal(job) || total === 0) return;
+            job.progress.processed_items = Math.floor(job.progress.total_items * classified / total);
+        });
+        entry.input = null; // The worker has its own copy
+        this.running.set(job.id, cancel);
+
+        result.then(
+            response => (response.is_success
+                ? this.settle(entry, 'completed', { result: response })
+                : this.settle(entry, 'failed', { error: { error: response.error, code: 'PROCESSING_ERROR' } })),
+            error => this.settle(entry, 'failed', { error: { error: error.message, code: 'INTERNAL_ERROR' } })
+        );
+    }
+
+    settle(entry, status, fields) {
+        const { job } = entry;
+        // A cancelled job's worker still reports its exit
+        if (isFinal(job)) return;
+
+        this.running.delete(job.id);
+        entry.input = null;
+        Object.assign(job, fields, { status, finished_at: this.timestamp() });
+        if (status === 'completed') job.progress.processed_items = job.progress.total_items;
+        const size = Buffer.byteLength(JSON.stringify(job.result || job.error || null));
+        this.finished.set(job.id, size);
+        this.finishedBytes += size;
+        this.purge();
+        this.next();
+
+        const settling = Promise.resolve(entry.onSettled(job)).catch(() => {}).then(() => {
+            this.settling.delete(settling);
+            this.notifyIdle();
+        });
+        this.settling.add(settling);
+    }
+
+    // Drop finished jobs past their TTL or beyond the count and byte limits,
+    // oldest first
+    purge() {
+        const cutoff = this.now() - this.ttlMs;
+        for (const [id, size] of this.finished) {
+            const over = this.finished.size > this.maxFinished || this.finishedBytes > this.maxFinishedBytes;
+            if (!over && Date.parse(this.entries.get(id).job.finished_at) > cutoff) break;
+            this.entries.delete(id);
+            this.finished.delete(id);
+            this.finishedBytes -= size;
+        }
+    }
+}
+
+module.exports = {
+    JobQueue,
+    runInWorker
+};
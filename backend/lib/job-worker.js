@@ -0,0 +1,11 @@
+// Worker thread body for JobQueue: classify one job's input, posting
+// { type: 'progress', classified, total } messages along the way and the
+// core's response as { type: 'result', response }
+const { parentPort, workerData } = require('worker_threads');
+const { processArrayData } = require('./shared');
+
+const context = {
+    ...workerData.context,
+    onProgress: (classified, total) => parentPort.postMessage({ type: 'progress', classified, total })
+};
+parentPort.postMessage({ type: 'result', response: processArrayData(workerData.body, context) });
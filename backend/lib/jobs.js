@@ -0,0 +1,191 @@
+// Asynchronous job endpoints (/jobs) on top of a JobQueue (see
+// job-queue.js). POST /jobs answers 202 straight away; callers poll
+// GET /jobs/:id or pass a callback_url that is notified with a signed POST
+// (see webhooks.js). As with /results, callers see only their own jobs
+// unless the request carries the admin token.
+const crypto = require('crypto');
+const express = require('express');
+const { clientKey, hasAdminToken } = require('./identity');
+const { jobRequestSchema } = require('./schemas');
+const { countItems, validateProcessRequest, validationFailure } = require('./validation');
+const { recordResult } = require('./results');
+const { checkCallbackTarget, deliverWebhook } = require('./webhooks');
+
+// Error for a callback_url that is not an absolute http(s) URL or whose host
+// the server may not call (see webhooks.js), or null
+async function checkCallbackUrl(value, allowedHosts) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        return { code: 'INVALID_CALLBACK_URL', pointer: '/callback_url', message: '/callback_url must be an absolute http or https URL' };
+    }
+    const refused = await checkCallbackTarget(url.href, allowedHosts);
+    return refused ? { code: 'INVALID_CALLBACK_URL', pointer: '/callback_url', message: `/callback_url is not allowed: ${refused}` } : null;
+}
+
+// The job as shown to callers
+function publicJob(job) {
+    const view = { ...job };
+    delete view.client_key;
+    return view;
+}
+
+// Options: `context(req)` builds the processing context, `strict(req)` picks
+// strict validation, `limits` replaces the default item limits (see
+// config.js), `guards` run before every route, `limiter` charges the
+// daily item quota, `resultStore` stores completed results, `metrics` counts
+// their items and `callbacks` ({ attempts, backoffMs, allowedHosts }) tunes
+// webhook retries and the private hosts callbacks may reach
+function createJobsRouter(queue, { adminToken, registry, guards = [], limiter, context, strict = () => false, limits = null, resultStore = null, metrics = null, callbacks = {} }) {
+    const router = express.Router();
+    const api = registry.on(router, '/jobs');
+    const notFound = id => ({ is_success: false, error: `Job ${id} not found`, code: 'JOB_NOT_FOUND' });
+
+    router.use(guards);
+
+    // A job the caller may see, or null
+    const visible = (req, id) => {
+        const job = queue.get(id);
+        if (!job) return null;
+        return hasAdminToken(req, adminToken) || job.client_key === clientKey(req) ? job : null;
+    };
+
+    // Store a completed result, then notify the callback URL
+    const settle = async (req, body, secret, job) => {
+        if (job.status === 'completed') {
+            if (metrics) metrics.countItems(job.result);
+            try {
+                job.result = await recordResult(resultStore, req, {
+                    endpoint: '/jobs',
+                    request: body,
+                    result: job.result,
+                    itemCount: job.progress.total_items
+                });
+            } catch (error) {
+                req.log.error('could not store job result', { job_id: job.id, error });
+            }
+        }
+        if (!job.callback) return;
+
+        const delivered = await deliverWebhook(job.callback.url, {
+            job_id: job.id,
+            status: job.status,
+            finished_at: job.finished_at,
+            result: job.result,
+            error: job.error
+        }, {
+            ...callbacks,
+            secret,
+            headers: { 'X-Job-Id': job.id },
+            onAttempt: (attempt, error) => {
+                job.callback.attempts = attempt;
+                job.callback.last_error = error;
+            }
+        });
+        job.callback.status = delivered ? 'delivered' : 'failed';
+    };
+
+    api.post('/', {
+        summary: 'Queue a processing job',
+        description: 'Validated like POST /process, then classified in the background. Poll the status_url, or pass a callback_url to be notified.',
+        tags: ['Jobs'],
+        auth: 'apiKey',
+        query: { strict: { type: 'boolean', description: 'Reject fields the schema does not declare' } },
+        body: { 'application/json': 'JobRequest' },
+        responses: {
+            202: { description: 'Job queued', schema: 'JobAccepted' },
+            400: 'Malformed request',
+            401: 'Missing, invalid or revoked API key',
+            422: 'Invalid values in the request',
+            429: 'Rate limit or daily item quota exceeded',
+            503: 'Job queue is full, or the server is shutting down'
+        }
+    }, async (req, res, next) => {
+        const processing = context(req);
+        let validation = validateProcessRequest(req.body, {
+            strict: strict(req),
+            schema: jobRequestSchema,
+            limits,
+            defaults: processing.options
+        });
+        if (!validation.status && req.body.callback_url !== undefined) {
+            const error = await checkCallbackUrl(req.body.callback_url, callbacks.allowedHosts);
+            if (error) validation = { status: 422, errors: [error] };
+        }
+        if (validation.status) return res.status(validation.status).json(validationFailure(validation.errors));
+
+        if (queue.closed) {
+            return res.status(503).json({ is_success: false, error: 'Server is shutting down; try again later', code: 'SHUTTING_DOWN' });
+        }
+        if (queue.full) {
+            return res.status(503).json({ is_success: false, error: 'Too many queued jobs; try again later', code: 'QUEUE_FULL' });
+        }
+
+        const { callback_url: callbackUrl, ...body } = req.body;
+        const itemCount = countItems(body.data, { ...processing.options, ...body.options });
+        try {
+            const quota = await limiter.consumeItems(req, itemCount);
+            if (!quota.allowed) return limiter.rejectQuota(res, quota);
+        } catch (error) {
+            return next(error);
+        }
+
+        const secret = callbackUrl ? crypto.randomBytes(32).toString('hex') : null;
+        const job = queue.submit({
+            client_key: clientKey(req),
+            item_count: itemCount,
+            input: { body, context: processing },
+            callback_url: callbackUrl
+        }, settled => settle(req, body, secret, settled).catch(error => {
+            req.log.error('could not finish job', { job_id: settled.id, error });
+        }));
+
+        const statusUrl = `${req.baseUrl}/${job.id}`;
+        res.status(202).location(statusUrl).json({
+            is_success: true,
+            job_id: job.id,
+            status: job.status,
+            status_url: statusUrl,
+            ...(secret ? { callback_secret: secret } : {})
+        });
+    });
+
+    api.get('/:id', {
+        summary: 'Job status, progress and result',
+        tags: ['Jobs'],
+        auth: 'apiKey',
+        responses: { 200: { description: 'The job', schema: 'Job' }, 404: 'Job not found or expired' }
+    }, (req, res) => {
+        const job = visible(req, req.params.id);
+        if (!job) return res.status(404).json(notFound(req.params.id));
+        res.json({ is_success: true, ...publicJob(job) });
+    });
+
+    api.post('/:id/cancel', {
+        summary: 'Cancel a queued or running job',
+        tags: ['Jobs'],
+        auth: 'apiKey',
+        responses: {
+            200: { description: 'The cancelled job', schema: 'Job' },
+            404: 'Job not found or expired',
+            409: 'Job already finished'
+        }
+    }, (req, res) => {
+        const job = visible(req, req.params.id);
+        if (!job) return res.status(404).json(notFound(req.params.id));
+        if (!queue.cancel(job.id)) {
+            return res.status(409).json({ is_success: false, error: `Job ${job.id} already ${job.status}`, code: 'JOB_FINISHED' });
+        }
+        res.json({ is_success: true, ...publicJob(job) });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createJobsRouter
+};
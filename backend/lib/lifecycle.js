@@ -0,0 +1,113 @@
+// Server lifecycle: readiness checks and graceful shutdown.
+//
+// On SIGTERM/SIGINT the server turns not-ready straight away (so the load
+// balancer stops routing to it), optionally keeps serving for `delayMs`
+// while that is noticed, then stops accepting connections and waits for
+// in-flight requests and every drain hook (e.g. the job queue) to finish.
+// After `drainTimeoutMs` remaining connections are dropped and the process
+// exits with code 1.
+
+class Lifecycle {
+    // `checks` maps a name to an async function that rejects when that
+    // backend is unusable; it may resolve to details shown in the report
+    constructor({ logger, checks = {}, drainTimeoutMs = 30000, delayMs = 0, checkTimeoutMs = 2000, exit = code => process.exit(code) }) {
+        this.logger = logger;
+        this.checks = checks;
+        this.drainTimeoutMs = drainTimeoutMs;
+        this.delayMs = delayMs;
+        this.checkTimeoutMs = checkTimeoutMs;
+        this.exit = exit;
+        this.server = null;
+        this.drainHooks = [];
+        this.state = 'ready';
+    }
+
+    get draining() {
+        return this.state !== 'ready';
+    }
+
+    attach(server) {
+        this.server = server;
+    }
+
+    // `hook()` returns a promise settled once that work has drained
+    onDrain(hook) {
+        this.drainHooks.push(hook);
+    }
+
+    // Middleware: once draining, ask keep-alive clients to reconnect
+    // (to another instance) after their current response
+    closeConnections() {
+        return (req, res, next) => {
+            if (this.draining) res.set('Connection', 'close');
+            next();
+        };
+    }
+
+    async runCheck(check) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${this.checkTimeoutMs} ms`)), this.checkTimeoutMs);
+        });
+        try {
+            const details = await Promise.race([check(), timeout]);
+            return { status: 'ok', ...(details || {}) };
+        } catch (error) {
+            return { status: 'failing', error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // { ready, status: 'ready' | 'not_ready' | 'draining', checks }
+    async readiness() {
+        const names = Object.keys(this.checks);
+        const results = await Promise.all(names.map(name => this.runCheck(this.checks[name])));
+        const checks = {};
+        names.forEach((name, index) => {
+            checks[name] = results[index];
+        });
+
+        const healthy = results.every(result => result.status === 'ok');
+        const status = this.draining ? 'draining' : healthy ? 'ready' : 'not_ready';
+        return { ready: status === 'ready', status, checks };
+    }
+
+    async shutdown(signal) {
+        if (this.draining) {
+            this.logger.warn('second shutdown signal, exiting now', { signal });
+            return this.exit(1);
+        }
+        this.state = 'draining';
+        this.logger.info('shutting down', { signal, delay_ms: this.delayMs, drain_timeout_ms: this.drainTimeoutMs });
+
+        const timer = setTimeout(() => {
+            this.logger.error('drain timed out, dropping remaining connections', { timeout_ms: this.drainTimeoutMs });
+            if (this.server && this.server.closeAllConnections) this.server.closeAllConnections();
+            this.exit(1);
+        }, this.delayMs + this.drainTimeoutMs);
+        timer.unref();
+
+        if (this.delayMs > 0) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+
+        const closed = new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            // Keep-alive connections with no request in flight would hold close() open
+            if (this.server.closeIdleConnections) this.server.closeIdleConnections();
+        });
+        const hooks = this.drainHooks.map(hook => Promise.resolve().then(hook).catch(error => {
+            this.logger.error('drain hook failed', { error });
+        }));
+        await Promise.all([closed, ...hooks]);
+
+        clearTimeout(timer);
+        this.state = 'stopped';
+        this.logger.info('shutdown complete');
+        this.exit(0);
+    }
+}
+
+module.exports = {
+    Lifecycle
+};
@@ -0,0 +1,161 @@
+// Structured logging: one JSON object per line, e.g.
+//
+//   {"time":"2025-08-29T10:00:00.000Z","level":"info","msg":"request completed","request_id":"...","status":200}
+//
+// Every request gets an id, taken from a well-formed X-Request-Id header or
+// generated, returned in X-Request-Id and attached to each line logged
+// through `req.log`. Each completed request is logged once; bodies recorded
+// with logPayload appear on that line as their size and SHA-256 hash, and in
+// full (redacted) only for a sampled share of requests (`bodies.sampleRate`).
+const crypto = require('crypto');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Accepted incoming request ids; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const REDACTED = '[REDACTED]';
+
+// Always redacted: identity and secret keys at any depth, and e-mail addresses
+const DEFAULT_REDACT_KEYS = ['email', 'api_key', 'callback_secret', 'authorization', 'password', 'token'];
+const DEFAULT_REDACT_PATTERNS = ['[^\\s@]+@[^\\s@]+\\.[^\\s@]+'];
+
+class Logger {
+    constructor({ level = 'info', stream = process.stdout, fields = {} } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+            throw new Error(`Log level must be one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        this.level = level;
+        this.stream = stream;
+        this.fields = fields;
+    }
+
+    // A logger adding `fields` to every line
+    child(fields) {
+        return new Logger({ level: this.level, stream: this.stream, fields: { ...this.fields, ...fields } });
+    }
+
+    enabled(level) {
+        return LEVELS[level] <= LEVELS[this.level];
+    }
+
+    write(level, msg, fields = {}) {
+        if (!this.enabled(level)) return;
+        const line = { time: new Date().toISOString(), level, msg, ...this.fields };
+        Object.keys(fields).forEach(key => {
+            line[key] = fields[key] instanceof Error ? errorFields(fields[key]) : fields[key];
+        });
+        this.stream.write(`${JSON.stringify(line)}\n`);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+}
+
+function errorFields(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+// Size and SHA-256 of a value as serialized JSON
+function payloadDigest(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value);
+    return {
+        bytes: Buffer.byteLength(text),
+        sha256: crypto.createHash('sha256').update(text).digest('hex')
+    };
+}
+
+// Build a redactor for the default rules plus `keys` (matched
+// case-insensitively at any depth) and `patterns` (regular expressions
+// matched inside string values)
+function createRedactor({ keys = [], patterns = [] } = {}) {
+    const redactedKeys = new Set(DEFAULT_REDACT_KEYS.concat(keys).map(key => key.toLowerCase()));
+    const expressions = DEFAULT_REDACT_PATTERNS.concat(patterns).map(pattern => {
+        try {
+            return new RegExp(pattern, 'g');
+        } catch (error) {
+            throw new Error(`Invalid redaction pattern: ${pattern}`);
+        }
+    });
+
+    const redact = value => {
+        if (typeof value === 'string') {
+            return expressions.reduce((text, expression) => text.replace(expression, REDACTED), value);
+        }
+        if (Array.isArray(value)) return value.map(redact);
+        if (value !== null && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = redactedKeys.has(key.toLowerCase()) ? REDACTED : redact(value[key]);
+            });
+            return copy;
+        }
+        return value;
+    };
+    return redact;
+}
+
+// Middleware: assign the request id, attach `req.log` and log one line per
+// completed request, including any payloads recorded with logPayload.
+// `bodies` ({ sampleRate, maxBytes, redact }) turns on sampled body logging.
+function requestLogger(logger, { bodies = null, random = Math.random } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+        req.log = logger.child({ request_id: req.id });
+        // Sampled once per request, so a logged request body comes with its response
+        res.locals.logBodies = bodies && random() < bodies.sampleRate ? bodies : null;
+        res.locals.payloads = {};
+
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            req.log.write(level, 'request completed', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                route: res.locals.route || null,
+                status: res.statusCode,
+                duration_ms: Number(process.hrtime.bigint() - start) / 1e6,
+                profile: req.identity ? req.identity.id : null,
+                ...res.locals.payloads
+            });
+        });
+        next();
+    };
+}
+
+// Record a request or response body for the request's log line: its digest,
+// plus the redacted body itself when the request was sampled
+function logPayload(res, label, value) {
+    const entry = payloadDigest(value);
+    const bodies = res.locals.logBodies;
+    if (bodies) {
+        const redacted = bodies.redact(value);
+        const text = JSON.stringify(redacted);
+        entry.body = text.length > bodies.maxBytes ? { truncated: true, preview: text.slice(0, bodies.maxBytes) } : redacted;
+    }
+    if (res.locals.payloads) res.locals.payloads[label] = entry;
+}
+
+module.exports = {
+    LEVELS,
+    Logger,
+    payloadDigest,
+    createRedactor,
+    requestLogger,
+    logPayload
+};
@@ -0,0 +1,216 @@
+// Prometheus metrics, served in the text exposition format (version 0.0.4).
+//
+// `metrics.middleware` wraps every request and records its route, status,
+// latency, body size and, for failures, the error code of the response.
+// Routes label themselves through the registry (res.locals.route, see
+// openapi.js); anything else is labelled "unmatched" so unknown URLs cannot
+// grow the label set. Items are counted per result bucket from classification
+// results in the response body: handlers that do not answer with res.json
+// leave the body in res.locals.payload (see formats.js and stream.js).
+// Body sizes come from Content-Length, or for chunked uploads from the body
+// parsers (`recordBody` is their verify hook).
+const { safeEqual } = require('./identity');
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SIZE_BUCKETS = [100, 1000, 10000, 100000, 1000000, 10000000];
+
+// Lists in a result that are not classified items
+const NON_ITEM_LISTS = ['pipeline_trace'];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        // label string -> { labels, value }
+        this.series = new Map();
+    }
+
+    inc(labels = {}, by = 1) {
+        const key = formatLabels(labels);
+        const series = this.series.get(key) || { labels, value: 0 };
+        series.value += by;
+        this.series.set(key, series);
+    }
+
+    samples() {
+        return Array.from(this.series.entries(), ([key, { value }]) => `${this.name}${key} ${formatValue(value)}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        // label string -> { labels, counts (per bucket, not cumulative), sum, count }
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index >= 0) series.counts[index]++;
+        series.sum += value;
+        series.count++;
+    }
+
+    samples() {
+        const lines = [];
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            let cumulative = 0;
+            this.buckets.concat(Infinity).forEach((bound, index) => {
+                cumulative += index < counts.length ? counts[index] : 0;
+                const value = bound === Infinity ? count : cumulative;
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value}`);
+            });
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+// A value read when the metrics are scraped
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    samples() {
+        return [`${this.name} ${formatValue(this.collect())}`];
+    }
+}
+
+// Item count per bucket of a classification result, a batch response or a
+// stream summary; empty for anything else
+function itemCounts(payload) {
+    const counts = {};
+    const add = (bucket, count) => {
+        counts[bucket] = (counts[bucket] || 0) + count;
+    };
+    const addResult = result => {
+        if (!result || !Array.isArray(result.odd_numbers)) return;
+        Object.keys(result).forEach(key => {
+            if (Array.isArray(result[key]) && !NON_ITEM_LISTS.includes(key)) add(key, result[key].length);
+        });
+    };
+
+    if (!payload || typeof payload !== 'object' || Buffer.isBuffer(payload)) return counts;
+    if (Array.isArray(payload.results) && payload.summary) {
+        payload.results.forEach(addResult);
+    } else if (payload.total_items !== undefined && payload.counts) {
+        Object.keys(payload.counts).forEach(key => add(key, payload.counts[key]));
+    } else {
+        addResult(payload);
+    }
+    return counts;
+}
+
+// Error type of a finished response, or null if it succeeded
+function errorType(status, payload) {
+    const failed = status >= 400 || (payload && payload.is_success === false);
+    if (!failed) return null;
+    if (payload && typeof payload.code === 'string') return payload.code;
+    return status >= 400 ? `HTTP_${status}` : 'PROCESSING_ERROR';
+}
+
+// Options: `token`, when set, is required as a bearer token to read /metrics
+function createMetrics({ token = null } = {}) {
+    const metrics = [
+        new Counter('http_requests_total', 'HTTP requests by method, route and status'),
+        new Histogram('http_request_duration_seconds', 'HTTP request latency by method, route and status', LATENCY_BUCKETS),
+        new Histogram('http_request_body_bytes', 'Request body size by method and route', SIZE_BUCKETS),
+        new Counter('http_request_errors_total', 'Failed requests by route and error code'),
+        new Counter('items_processed_total', 'Classified items by result bucket'),
+        new Gauge('process_uptime_seconds', 'Seconds since the server started', () => process.uptime()),
+        new Gauge('process_resident_memory_bytes', 'Resident memory of the server process', () => process.memoryUsage().rss)
+    ];
+    const [requests, duration, bodySize, errors, items] = metrics;
+
+    function countItems(payload) {
+        const counts = itemCounts(payload);
+        Object.keys(counts).forEach(bucket => items.inc({ bucket }, counts[bucket]));
+    }
+
+    // verify hook for express.json/text/urlencoded
+    function recordBody(req, res, buffer) {
+        res.locals.bodyBytes = buffer.length;
+    }
+
+    function middleware(req, res, next) {
+        const start = process.hrtime.bigint();
+
+        const json = res.json;
+        res.json = function (body) {
+            if (res.locals.payload === undefined) res.locals.payload = body;
+            return json.call(this, body);
+        };
+
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            const route = res.locals.route || 'unmatched';
+            const labels = { method: req.method, route, status: String(res.statusCode) };
+            const payload = res.locals.payload;
+
+            requests.inc(labels);
+            duration.observe(labels, seconds);
+            const length = Number(req.get('Content-Length')) || res.locals.bodyBytes;
+            if (length > 0) bodySize.observe({ method: req.method, route }, length);
+
+            const type = errorType(res.statusCode, payload);
+            if (type) errors.inc({ route, code: type });
+            else countItems(payload);
+        });
+        next();
+    }
+
+    function render() {
+        return metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.samples()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    // Route handler for GET /metrics
+    function serve(req, res) {
+        if (token) {
+            const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+            if (!match || !safeEqual(match[1].trim(), token)) {
+                return res.status(401).json({ is_success: false, error: 'Invalid or missing metrics token', code: 'INVALID_METRICS_TOKEN' });
+            }
+        }
+        res.type('text/plain; version=0.0.4').send(render());
+    }
+
+    return { middleware, recordBody, countItems, render, serve };
+}
+
+module.exports = {
+    createMetrics,
+    itemCounts
+};
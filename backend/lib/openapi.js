@@ -0,0 +1,144 @@
+// OpenAPI 3.1 document generated from the routes themselves.
+//
+// Routes are registered through ApiRegistry.on(router), which mounts the
+// handlers on the Express router and records their documentation, so the
+// published spec always matches what the server actually serves. A route's
+// documentation is:
+//
+//   {
+//       summary, description, tags,
+//       auth: 'apiKey' | 'admin',           // omitted for public routes
+//       query: { name: schema },            // schema may carry a description
+//       body: { mediaType: schema },
+//       responses: { status: description | { description, schema, types } }
+//   }
+//
+// Schemas may be inline or the name of a schema in `components`. A response
+// given as a bare description uses the Error schema.
+
+const SECURITY_SCHEMES = {
+    ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    BearerAuth: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' },
+    AdminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+};
+
+// An empty requirement makes the key optional (unless REQUIRE_API_KEY is set)
+const SECURITY = {
+    apiKey: [{}, { ApiKey: [] }, { BearerAuth: [] }],
+    admin: [{ AdminToken: [] }]
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function schemaRef(schema) {
+    return typeof schema === 'string' ? { $ref: `#/components/schemas/${schema}` } : schema;
+}
+
+// Express path to OpenAPI path: /profiles/:id -> /profiles/{id}
+function openApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function queryParameter(name, schema) {
+    const { description, ...rest } = schemaRef(schema);
+    return { name, in: 'query', required: false, description, schema: rest };
+}
+
+function response(value) {
+    if (typeof value === 'string') {
+        return { description: value, content: { 'application/json': { schema: schemaRef('Error') } } };
+    }
+    const { description, schema, types = ['application/json'] } = value;
+    if (!schema) return { description };
+    const content = {};
+    types.forEach(type => {
+        content[type] = { schema: type === 'application/json' ? schemaRef(schema) : { type: 'string' } };
+    });
+    return { description, content };
+}
+
+class ApiRegistry {
+    constructor({ info, components = {} }) {
+        this.info = info;
+        this.components = components;
+        this.routes = [];
+    }
+
+    // Route methods for `router` (an app or express.Router mounted at
+    // `prefix`): on(router).post(path, doc, ...handlers)
+    on(router, prefix = '') {
+        const routes = {};
+        METHODS.forEach(method => {
+            routes[method] = (path, doc, ...handlers) => {
+                // A router's root route is the mount path itself
+                const fullPath = prefix && path === '/' ? prefix : prefix + path;
+                // Label the request with its route for metrics (see metrics.js)
+                const label = (req, res, next) => {
+                    res.locals.route = fullPath;
+                    next();
+                };
+                router[method](path, label, ...handlers);
+                this.routes.push({ method, path: fullPath, doc });
+                return routes;
+            };
+        });
+        return routes;
+    }
+
+    // { 'POST /process': 'Process array data', ... } in registration order
+    endpoints() {
+        const endpoints = {};
+        this.routes.forEach(({ method, path, doc }) => {
+            endpoints[`${method.toUpperCase()} ${path}`] = doc.summary;
+        });
+        return endpoints;
+    }
+
+    operation({ path, doc }) {
+        const parameters = [];
+        (path.match(/:\w+/g) || []).forEach(param => {
+            parameters.push({ name: param.slice(1), in: 'path', required: true, schema: { type: 'string' } });
+        });
+        Object.keys(doc.query || {}).forEach(name => parameters.push(queryParameter(name, doc.query[name])));
+
+        const operation = { summary: doc.summary };
+        if (doc.description) operation.description = doc.description;
+        if (doc.tags) operation.tags = doc.tags;
+        if (parameters.length > 0) operation.parameters = parameters;
+        if (doc.body) {
+            const content = {};
+            Object.keys(doc.body).forEach(type => {
+                content[type] = { schema: schemaRef(doc.body[type]) };
+            });
+            operation.requestBody = { required: true, content };
+        }
+        const responses = doc.responses || { 200: { description: 'OK' } };
+        operation.responses = {};
+        Object.keys(responses).forEach(status => {
+            operation.responses[status] = response(responses[status]);
+        });
+        if (doc.auth) operation.security = SECURITY[doc.auth];
+        return operation;
+    }
+
+    // `basePath`: the path the routes are mounted at, if not the root
+    spec({ basePath = '' } = {}) {
+        const paths = {};
+        this.routes.forEach(route => {
+            const path = openApiPath(route.path);
+            paths[path] = paths[path] || {};
+            paths[path][route.method] = this.operation(route);
+        });
+        return {
+            openapi: '3.1.0',
+            info: this.info,
+            ...(basePath ? { servers: [{ url: basePath }] } : {}),
+            paths,
+            components: { schemas: this.components, securitySchemes: SECURITY_SCHEMES }
+        };
+    }
+}
+
+module.exports = {
+    ApiRegistry
+};
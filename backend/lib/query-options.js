@@ -0,0 +1,35 @@
+// Processing options passed as query-string (or form) parameters, for
+// request bodies that cannot carry an `options` object (streams, files) and
+// as defaults for JSON bodies that can
+
+// Scalar options copied through as strings
+const STRING_OPTIONS = ['number_mode', 'taxonomy', 'locale', 'alphabet_sort'];
+const BOOLEAN_OPTIONS = ['radix_literals', 'stats'];
+
+function parseQueryOptions(params = {}) {
+    const options = {};
+    STRING_OPTIONS.forEach(name => {
+        if (params[name] !== undefined) options[name] = String(params[name]);
+    });
+    BOOLEAN_OPTIONS.forEach(name => {
+        if (params[name] !== undefined) options[name] = String(params[name]) === 'true';
+    });
+    return options;
+}
+
+// A JSON request body with the query options under its own `options`; the
+// body is returned unchanged when there are none or it is not an object
+// (validation then reports it as sent)
+function mergeQueryOptions(body, params) {
+    const fromQuery = parseQueryOptions(params);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (Object.keys(fromQuery).length === 0 || !isObject(body)) return body;
+    if (body.options !== undefined && !isObject(body.options)) return body;
+    return { ...body, options: { ...fromQuery, ...body.options } };
+}
+
+module.exports = {
+    QUERY_OPTIONS: STRING_OPTIONS.concat(BOOLEAN_OPTIONS),
+    parseQueryOptions,
+    mergeQueryOptions
+};
@@ -0,0 +1,129 @@
+// API key authentication, sliding-window rate limits and daily item quotas.
+//
+// Clients are keyed by their identity profile (see identity.js) or, for
+// anonymous callers, by IP address. Profiles may override the default
+// `rate_limit` and `daily_item_quota`.
+const { clientKey } = require('./identity');
+
+function today(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Seconds until the next UTC midnight, when daily quotas reset
+function secondsUntilTomorrow(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+// Middleware: reject requests without an API key when keys are required.
+// Invalid keys are already rejected while resolving the identity.
+function requireApiKey(required) {
+    return (req, res, next) => {
+        if (required && !req.authenticatedByKey) {
+            return res.status(401).json({
+                is_success: false,
+                error: 'API key required',
+                code: 'API_KEY_REQUIRED',
+                message: 'Send your key in the X-API-Key header or as a Bearer token'
+            });
+        }
+        next();
+    };
+}
+
+function createLimiter({ store, limit, windowMs, dailyItemQuota, now = Date.now }) {
+    const limitsFor = req => ({
+        limit: (req.identity && req.identity.rate_limit) || limit,
+        quota: (req.identity && req.identity.daily_item_quota) || dailyItemQuota
+    });
+
+    // Middleware: sliding-window request limit with RateLimit-* headers
+    async function rateLimit(req, res, next) {
+        try {
+            const key = clientKey(req);
+            const current = now();
+            const { limit: max } = limitsFor(req);
+            const { allowed, timestamps } = await store.recordRequest(key, current, windowMs, max);
+
+            // The window frees a slot when its oldest request expires
+            const resetSeconds = timestamps.length > 0
+                ? Math.max(1, Math.ceil((timestamps[0] + windowMs - current) / 1000))
+                : 0;
+
+            res.set('RateLimit-Policy', `${max};w=${Math.ceil(windowMs / 1000)}`);
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - timestamps.length)));
+            res.set('RateLimit-Reset', String(resetSeconds));
+
+            if (!allowed) {
+                res.set('Retry-After', String(resetSeconds));
+                return res.status(429).json({
+                    is_success: false,
+                    error: 'Rate limit exceeded',
+                    code: 'RATE_LIMITED',
+                    message: `At most ${max} requests per ${Math.ceil(windowMs / 1000)} seconds`
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Reserve `count` items against today's quota. Resolves to
+    // { allowed, used, quota }; nothing is recorded when not allowed.
+    async function consumeItems(req, count) {
+        const key = clientKey(req);
+        const day = today(now());
+        const { quota } = limitsFor(req);
+        const used = await store.getItems(key, day);
+
+        if (used + count > quota) {
+            return { allowed: false, used, quota };
+        }
+        return { allowed: true, used: await store.addItems(key, day, count), quota };
+    }
+
+    // Send the standard 429 response for an exhausted item quota
+    function rejectQuota(res, { used, quota }) {
+        res.set('Retry-After', String(secondsUntilTomorrow(now())));
+        return res.status(429).json({
+            is_success: false,
+            error: 'Daily item quota exceeded',
+            code: 'QUOTA_EXCEEDED',
+            message: `Used ${used} of ${quota} items today`
+        });
+    }
+
+    async function usage(req) {
+        const key = clientKey(req);
+        const current = now();
+        const { limit: max, quota } = limitsFor(req);
+        const requests = await store.getRequests(key, current, windowMs);
+        const items = await store.getItems(key, today(current));
+
+        return {
+            client: req.identity ? req.identity.user_id : 'anonymous',
+            rate_limit: {
+                limit: max,
+                window_seconds: Math.ceil(windowMs / 1000),
+                used: requests.length,
+                remaining: Math.max(0, max - requests.length)
+            },
+            daily_items: {
+                quota,
+                used: items,
+                remaining: Math.max(0, quota - items),
+                resets_in_seconds: secondsUntilTomorrow(current)
+            }
+        };
+    }
+
+    return { rateLimit, consumeItems, rejectQuota, usage };
+}
+
+module.exports = {
+    requireApiKey,
+    createLimiter
+};
@@ -0,0 +1,211 @@
+// Processing history: every stored request and result under an ID.
+//
+// Stores share an async interface so a database-backed store can replace
+// them:
+//
+//   save(record)          -> the stored record, with id / created_at / expires_at,
+//                            or null when it alone exceeds the byte budget
+//   get(id)               -> record or null (expired records are never returned)
+//   list(filter)          -> { total, results } of summaries, newest first;
+//                            filter: { client_key, client, from, to,
+//                            limit, offset } (from/to in epoch ms)
+//   delete(id)            -> true if a record was removed
+//   check()               -> resolves if the store is usable, rejects
+//                            otherwise (readiness probe)
+//
+// Records expire `ttlMs` after creation, and only the newest `maxResults`
+// are kept, up to `maxBytes` of serialized records in total.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Metadata returned by list(); full records also carry `request` and `result`
+function summarize(record) {
+    return {
+        id: record.id,
+        created_at: record.created_at,
+        expires_at: record.expires_at,
+        client: record.client,
+        endpoint: record.endpoint,
+        item_count: record.item_count,
+        is_success: record.is_success
+    };
+}
+
+function isExpired(record, now) {
+    return record.expires_at !== null && Date.parse(record.expires_at) <= now;
+}
+
+// Newest-first page of the summaries matching `filter`
+function filterSummaries(summaries, { client_key, client, from, to, limit = 20, offset = 0 }, now) {
+    const matching = summaries.filter(summary =>
+        !isExpired(summary, now) &&
+        (client_key === undefined || summary.client_key === client_key) &&
+        (client === undefined || summary.client === client) &&
+        (from === undefined || Date.parse(summary.created_at) >= from) &&
+        (to === undefined || Date.parse(summary.created_at) <= to)
+    ).reverse();
+
+    return {
+        total: matching.length,
+        results: matching.slice(offset, offset + limit).map(summarize)
+    };
+}
+
+class MemoryResultStore {
+    constructor({ ttlMs = null, maxResults = 10000, maxBytes = 100 * 1024 * 1024, now = Date.now } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxResults = maxResults;
+        this.maxBytes = maxBytes;
+        this.now = now;
+        // Insertion order is creation order
+        this.records = new Map();
+        // id -> serialized size in bytes
+        this.sizes = new Map();
+    }
+
+    // Fill in the stored fields of a new record
+    createRecord(fields) {
+        const now = this.now();
+        return {
+            id: crypto.randomUUID(),
+            created_at: new Date(now).toISOString(),
+            expires_at: this.ttlMs ? new Date(now + this.ttlMs).toISOString() : null,
+            ...fields
+        };
+    }
+
+    // Ids of records past their TTL or beyond the count or byte limit,
+    // oldest first
+    evictable(records) {
+        const now = this.now();
+        const live = records.filter(record => !isExpired(record, now));
+        const ids = records.filter(record => isExpired(record, now)).map(record => record.id);
+        let count = live.length;
+        let bytes = live.reduce((total, record) => total + (this.sizes.get(record.id) || 0), 0);
+        for (const record of live) {
+            if (count <= this.maxResults && bytes <= this.maxBytes) break;
+            ids.push(record.id);
+            count -= 1;
+            bytes -= this.sizes.get(record.id) || 0;
+        }
+        return ids;
+    }
+
+    remove(id) {
+        this.sizes.delete(id);
+        return this.records.delete(id);
+    }
+
+    async save(fields) {
+        const record = this.createRecord(fields);
+        const size = Buffer.byteLength(JSON.stringify(record));
+        if (size > this.maxBytes) return null;
+        this.records.set(record.id, record);
+        this.sizes.set(record.id, size);
+        this.evictable(Array.from(this.records.values())).forEach(id => this.remove(id));
+        return record;
+    }
+
+    async get(id) {
+        const record = this.records.get(id);
+        return record && !isExpired(record, this.now()) ? record : null;
+    }
+
+    async list(filter = {}) {
+        return filterSummaries(Array.from(this.records.values()), filter, this.now());
+    }
+
+    async delete(id) {
+        return this.remove(id);
+    }
+
+    async check() {}
+}
+
+// One JSON file per record in `dir`, so large results are never rewritten
+// together. Summaries are indexed in memory; the directory is scanned once
+// at startup.
+class FileResultStore extends MemoryResultStore {
+    constructor({ dir, ...settings }) {
+        super(settings);
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const loaded = fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    const text = fs.readFileSync(path.join(this.dir, file), 'utf8');
+                    return { record: JSON.parse(text), size: Buffer.byteLength(text) };
+                } catch (error) {
+                    return null; // Partially written or foreign file
+                }
+            })
+            .filter(entry => entry && entry.record.id && entry.record.created_at)
+            .sort((a, b) => Date.parse(a.record.created_at) - Date.parse(b.record.created_at));
+
+        loaded.forEach(({ record, size }) => {
+            this.records.set(record.id, { ...summarize(record), client_key: record.client_key });
+            this.sizes.set(record.id, size);
+        });
+        this.evictable(loaded.map(entry => entry.record)).forEach(id => this.remove(id));
+    }
+
+    fileFor(id) {
+        // Ids come from URLs; only accept the UUIDs this store generates
+        if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    remove(id) {
+        const existed = super.remove(id);
+        const file = this.fileFor(id);
+        if (file && fs.existsSync(file)) fs.unlinkSync(file);
+        return existed;
+    }
+
+    async save(fields) {
+        const record = this.createRecord(fields);
+        const text = JSON.stringify(record);
+        if (Buffer.byteLength(text) > this.maxBytes) return null;
+        fs.writeFileSync(this.fileFor(record.id), text);
+        this.records.set(record.id, { ...summarize(record), client_key: record.client_key });
+        this.sizes.set(record.id, Buffer.byteLength(text));
+        this.evictable(Array.from(this.records.values())).forEach(id => this.remove(id));
+        return record;
+    }
+
+    async get(id) {
+        const summary = this.records.get(id);
+        if (!summary || isExpired(summary, this.now())) return null;
+        return JSON.parse(fs.readFileSync(this.fileFor(id), 'utf8'));
+    }
+
+    async delete(id) {
+        return this.remove(id);
+    }
+
+    async check() {
+        await fs.promises.access(this.dir, fs.constants.R_OK | fs.constants.W_OK);
+    }
+}
+
+// Build the store named by `type` ('memory', 'file' or 'none'); 'none'
+// disables history and returns null
+function createResultStore({ type = 'memory', dir, ttlMs, maxResults, maxBytes } = {}) {
+    const settings = { ttlMs: ttlMs || null, maxResults: maxResults || 10000, maxBytes: maxBytes || 100 * 1024 * 1024 };
+    if (type === 'none') return null;
+    if (type === 'memory') return new MemoryResultStore(settings);
+    if (type === 'file') {
+        if (!dir) throw new Error('RESULTS_DIR is required when RESULTS_STORE=file');
+        return new FileResultStore({ dir, ...settings });
+    }
+    throw new Error(`Unknown results store: ${type} (expected memory, file or none)`);
+}
+
+module.exports = {
+    MemoryResultStore,
+    FileResultStore,
+    createResultStore
+};
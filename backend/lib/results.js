@@ -0,0 +1,158 @@
+// Processing history endpoints (/results) on top of a result store (see
+// result-store.js). Only callers authenticated by an API key have a history:
+// anonymous callers cannot be told apart (many share an address), so nothing
+// is stored for them. Callers see only their own results; a request carrying
+// the admin token sees every result.
+const express = require('express');
+const { clientKey, hasAdminToken } = require('./identity');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parameterError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_PARAMETER';
+    return error;
+}
+
+function parseInteger(value, name, min, max) {
+    const number = Number(value);
+    if (!/^\d+$/.test(String(value)) || number < min || number > max) {
+        throw parameterError(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function parseDate(value, name) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw parameterError(`${name} must be an ISO 8601 date or date-time`);
+    }
+    return time;
+}
+
+// List filter from the query string: limit, offset, from, to, client
+function parseListQuery(query) {
+    const filter = {
+        limit: query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInteger(query.limit, 'limit', 1, MAX_PAGE_SIZE),
+        offset: query.offset === undefined ? 0 : parseInteger(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER)
+    };
+    if (query.from !== undefined) filter.from = parseDate(query.from, 'from');
+    if (query.to !== undefined) filter.to = parseDate(query.to, 'to');
+    if (query.client !== undefined) filter.client = String(query.client);
+    return filter;
+}
+
+// The history a caller owns: their profile's key, or null without one
+function ownerKey(req) {
+    return req.identity ? clientKey(req) : null;
+}
+
+// Save a completed request and return the response tagged with its
+// `result_id` (unchanged when history is disabled, for anonymous callers and
+// for records over the store's byte budget)
+async function recordResult(store, req, { endpoint, request, result, itemCount }) {
+    if (!store || !ownerKey(req)) return result;
+    const record = await store.save({
+        client: req.identity.user_id,
+        client_key: ownerKey(req),
+        endpoint,
+        item_count: itemCount,
+        is_success: result.is_success,
+        request,
+        result
+    });
+    return record ? { ...result, result_id: record.id } : result;
+}
+
+// `guards` run before every route (API key and rate limit); routes are
+// documented in `registry` under /results
+function createResultsRouter(store, { adminToken, registry, guards = [] }) {
+    const router = express.Router();
+    const api = registry.on(router, '/results');
+    const notFound = id => ({ is_success: false, error: `Result ${id} not found`, code: 'RESULT_NOT_FOUND' });
+
+    router.use(guards);
+    router.use((req, res, next) => {
+        if (!store) {
+            return res.status(404).json({ is_success: false, error: 'Result history is disabled', code: 'RESULTS_DISABLED' });
+        }
+        next();
+    });
+
+    // A record the caller may see, or null
+    const visible = async (req, id) => {
+        const record = await store.get(id);
+        if (!record) return null;
+        return hasAdminToken(req, adminToken) || record.client_key === ownerKey(req) ? record : null;
+    };
+
+    api.get('/', {
+        summary: 'List stored results, newest first',
+        description: 'Only the caller\'s own results, unless the request carries the admin token.',
+        tags: ['Results'],
+        auth: 'apiKey',
+        query: {
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: `Page size (default ${DEFAULT_PAGE_SIZE})` },
+            offset: { type: 'integer', minimum: 0, description: 'Results to skip' },
+            from: { type: 'string', format: 'date-time', description: 'Only results created at or after this time' },
+            to: { type: 'string', format: 'date-time', description: 'Only results created at or before this time' },
+            client: { type: 'string', description: 'Only results of this user_id' }
+        },
+        responses: { 200: { description: 'A page of result summaries', schema: 'ResultList' }, 400: 'Invalid parameter', 404: 'Result history is disabled' }
+    }, async (req, res, next) => {
+        let filter;
+        try {
+            filter = parseListQuery(req.query);
+        } catch (error) {
+            return res.status(400).json({ is_success: false, error: error.message, code: error.code });
+        }
+        if (!hasAdminToken(req, adminToken)) filter.client_key = ownerKey(req);
+
+        try {
+            const { total, results } = await store.list(filter);
+            res.json({ is_success: true, total, limit: filter.limit, offset: filter.offset, results });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    api.get('/:id', {
+        summary: 'Fetch a stored request and its result',
+        tags: ['Results'],
+        auth: 'apiKey',
+        responses: { 200: { description: 'The stored record', schema: 'StoredResult' }, 404: 'Result not found or expired' }
+    }, async (req, res, next) => {
+        try {
+            const record = await visible(req, req.params.id);
+            if (!record) return res.status(404).json(notFound(req.params.id));
+            const stored = { ...record };
+            delete stored.client_key;
+            res.json({ is_success: true, ...stored });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    api.delete('/:id', {
+        summary: 'Delete a stored result',
+        tags: ['Results'],
+        auth: 'apiKey',
+        responses: { 200: { description: 'Deleted', schema: { type: 'object', properties: { id: { type: 'string' } } } }, 404: 'Result not found' }
+    }, async (req, res, next) => {
+        try {
+            if (!(await visible(req, req.params.id))) return res.status(404).json(notFound(req.params.id));
+            await store.delete(req.params.id);
+            res.json({ is_success: true, id: req.params.id });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    recordResult,
+    createResultsRouter
+};
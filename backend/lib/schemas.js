@@ -0,0 +1,530 @@
+// Declared request and response schemas.
+//
+// Request schemas are written in the JSON Schema subset understood by
+// validation.js: type, properties, required, items, enum, minLength,
+// maxLength, maxItems, minimum, maximum. `x-error-codes` overrides the error code
+// reported for a keyword, so callers get specific codes such as
+// DATA_NOT_ARRAY instead of a generic INVALID_TYPE. Response schemas are only
+// used to document the API (see openapi.js); `COMPONENTS` names every schema
+// published in the OpenAPI document.
+const { NUMBER_MODES, ALPHABET_SORTS, TAXONOMIES, CORE_VERSION } = require('./shared');
+
+const MAX_ITEMS = 100000;
+const MAX_ITEM_LENGTH = 10000;
+const MAX_BATCH_ENTRIES = 1000;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const optionsSchema = {
+    type: 'object',
+    description: 'Processing options',
+    properties: {
+        number_mode: { type: 'string', enum: NUMBER_MODES, description: 'Which tokens count as numbers' },
+        radix_literals: { type: 'boolean', description: 'Accept 0x (hex) and 0b (binary) literals (extended mode)' },
+        locale: { type: 'string', minLength: 1, description: 'BCP 47 locale used to sort alphabets' },
+        alphabet_sort: { type: 'string', enum: ALPHABET_SORTS, description: 'Alphabet ordering' },
+        taxonomy: { type: 'string', enum: TAXONOMIES, description: 'Token categories to report' },
+        rules: { type: 'array', items: { type: 'object' }, description: 'Custom category rules' },
+        stats: { type: ['boolean', 'object'], description: 'Add a stats block: true, or { percentiles, bins }' },
+        structured: { type: 'boolean', description: 'Walk nested arrays and objects and classify their leaves' },
+        max_depth: { type: 'integer', minimum: 0, maximum: 100, description: 'Deepest container nesting for structured input (default 20)' },
+        provenance: { type: 'boolean', description: 'Report every item as { original, normalized, index, rule }' }
+    }
+};
+
+const dataItemSchema = {
+    type: ['string', 'number', 'boolean'],
+    description: 'Nested arrays, objects and null are accepted with options.structured',
+    maxLength: MAX_ITEM_LENGTH,
+    'x-error-codes': { type: 'ITEM_INVALID_TYPE', maxLength: 'ITEM_TOO_LONG' }
+};
+
+// Items of structured input: any JSON value. maxLength only reaches top-level
+// strings; validateProcessRequest applies the item limits to the leaves.
+const structuredItemSchema = {
+    ...dataItemSchema,
+    type: ['string', 'number', 'boolean', 'null', 'array', 'object']
+};
+
+const dataSchema = {
+    type: 'array',
+    description: 'Items to classify',
+    maxItems: MAX_ITEMS,
+    items: dataItemSchema,
+    'x-error-codes': { required: 'DATA_REQUIRED', type: 'DATA_NOT_ARRAY', maxItems: 'TOO_MANY_ITEMS' }
+};
+
+// Names of the properties of `schema` holding items to classify (`data`, or
+// `before` and `after`)
+function dataFields(schema) {
+    return Object.keys(schema.properties || {}).filter(name =>
+        [dataItemSchema, structuredItemSchema].includes(schema.properties[name].items));
+}
+
+// `schema` with its data fields accepting structured items
+function structuredVariant(schema) {
+    const properties = { ...schema.properties };
+    dataFields(schema).forEach(name => {
+        properties[name] = { ...properties[name], items: structuredItemSchema };
+    });
+    return { ...schema, properties };
+}
+
+// `schema` with the item limits of `limits` ({ max_items, max_item_length,
+// max_batch_entries }, see config.js) instead of the defaults. Apply it after
+// structuredVariant, which only recognises unlimited data fields.
+function limitedVariant(schema, limits) {
+    const properties = { ...schema.properties };
+    dataFields(schema).forEach(name => {
+        properties[name] = {
+            ...properties[name],
+            maxItems: limits.max_items,
+            items: { ...properties[name].items, maxLength: limits.max_item_length }
+        };
+    });
+    if (properties.value && properties.value === classifyRequestSchema.properties.value) {
+        properties.value = { ...properties.value, maxLength: limits.max_item_length };
+    }
+    if (properties.entries && properties.entries === batchRequestSchema.properties.entries) {
+        properties.entries = { ...properties.entries, maxItems: limits.max_batch_entries };
+    }
+    return { ...schema, properties };
+}
+
+// Body of POST /process (and of each POST /process/batch entry)
+const processRequestSchema = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        data: dataSchema,
+        options: optionsSchema,
+        pipeline: { type: ['array', 'object'], description: 'Transformation steps, or { before, after }' }
+    },
+    example: { data: ['a', '1', '23', '$', 'B'] },
+    'x-error-codes': { type: 'BODY_NOT_OBJECT' }
+};
+
+// A batch entry is a /process body with an optional id
+const batchEntrySchema = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        id: { type: ['string', 'integer'], description: 'Echoed in the result (defaults to the entry index)' },
+        ...processRequestSchema.properties
+    }
+};
+
+// Body of POST /process/batch; entries are validated one by one so a bad
+// entry fails on its own
+const batchRequestSchema = {
+    type: 'object',
+    required: ['entries'],
+    properties: {
+        entries: {
+            type: 'array',
+            maxItems: MAX_BATCH_ENTRIES,
+            items: ref('BatchEntry'),
+            'x-error-codes': { required: 'ENTRIES_REQUIRED', type: 'ENTRIES_NOT_ARRAY', maxItems: 'TOO_MANY_ENTRIES' }
+        }
+    },
+    example: { entries: [{ id: 'first', data: ['a', '1'] }, { id: 'second', data: ['2', 'B'] }] },
+    'x-error-codes': { type: 'BODY_NOT_OBJECT' }
+};
+
+// Body of POST /jobs: a /process body with an optional callback URL
+const jobRequestSchema = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        ...processRequestSchema.properties,
+        callback_url: { type: 'string', maxLength: 2048, description: 'http(s) URL that receives a signed POST when the job finishes' }
+    },
+    example: { data: ['a', '1', '23', '$', 'B'], callback_url: 'https://example.com/hooks/array-jobs' },
+    'x-error-codes': { type: 'BODY_NOT_OBJECT' }
+};
+
+// Body of POST /compare: two datasets classified with the same options
+const compareRequestSchema = {
+    type: 'object',
+    required: ['before', 'after'],
+    properties: {
+        before: { ...dataSchema, description: 'Earlier dataset' },
+        after: { ...dataSchema, description: 'Later dataset' },
+        options: optionsSchema,
+        pipeline: processRequestSchema.properties.pipeline
+    },
+    example: { before: ['1', '2', 'a', '$'], after: ['1', '3', 'a', 'b'] },
+    'x-error-codes': { type: 'BODY_NOT_OBJECT' }
+};
+
+// Body of POST /classify: a single value to explain
+const classifyRequestSchema = {
+    type: 'object',
+    required: ['value'],
+    properties: {
+        value: {
+            type: ['string', 'number', 'boolean', 'null'],
+            description: 'Value to classify (booleans and null keep their type with options.structured)',
+            maxLength: MAX_ITEM_LENGTH,
+            'x-error-codes': { required: 'VALUE_REQUIRED', type: 'VALUE_INVALID_TYPE', maxLength: 'ITEM_TOO_LONG' }
+        },
+        options: optionsSchema
+    },
+    example: { value: '007' },
+    'x-error-codes': { type: 'BODY_NOT_OBJECT' }
+};
+
+// ---- Response schemas ----
+
+const errorSchema = {
+    type: 'object',
+    required: ['is_success', 'error'],
+    properties: {
+        is_success: { type: 'boolean', const: false },
+        error: { type: 'string' },
+        code: { type: 'string', description: 'Machine-readable error code' },
+        message: { type: 'string' },
+        errors: {
+            type: 'array',
+            description: 'Every validation problem',
+            items: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string' },
+                    pointer: { type: 'string', description: 'JSON pointer into the request body' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// An item as reported with the provenance option
+const itemProvenanceSchema = {
+    type: 'object',
+    properties: {
+        original: { type: ['string', 'number', 'boolean', 'null'], description: 'The item as sent' },
+        normalized: { type: ['string', 'boolean', 'null'], description: 'The item as classified' },
+        index: { type: 'integer', description: 'Position in data (in the flattened leaves for structured input)' },
+        rule: { type: 'string', description: 'Check that decided the category, e.g. integer, letter or rules[0]' }
+    }
+};
+
+// Item lists of a result: strings, or objects with the provenance option
+const itemList = { type: 'array', items: { oneOf: [{ type: 'string' }, ref('ItemProvenance')] } };
+
+const processResultSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        user_id: { type: 'string' },
+        email: { type: 'string' },
+        roll_number: { type: 'string' },
+        odd_numbers: itemList,
+        even_numbers: itemList,
+        alphabets: itemList,
+        special_characters: itemList,
+        sum: { type: 'string', description: 'Exact sum of all numbers' },
+        concat_string: { type: 'string' },
+        core_version: { type: 'string' },
+        decimal_numbers: { ...itemList, description: 'Extended number mode only' },
+        custom_categories: { type: 'object', description: 'Items matched by custom rules, by category' },
+        words: itemList,
+        alphanumerics: itemList,
+        symbols: itemList,
+        whitespace: itemList,
+        emojis: itemList,
+        counts: { type: 'object', description: 'Item count per category (extended taxonomy)' },
+        pipeline_trace: { type: 'array', items: { type: 'object' } },
+        item_sources: { type: 'object', description: 'Row and column of every item (tabular input)' },
+        stats: { type: 'object', description: 'Number summary and character frequencies (stats option)' },
+        booleans: { type: 'array', items: { type: 'boolean' }, description: 'Structured input only' },
+        nulls: { type: 'array', items: { type: 'null' }, description: 'Structured input only' },
+        item_paths: { type: 'object', description: 'JSON path of every item (structured input)' },
+        result_id: { type: 'string', description: 'Id of the stored result (callers with an API key, when history is enabled)' }
+    },
+    example: {
+        is_success: true,
+        user_id: 'demo_user_29082025',
+        email: 'demo@example.com',
+        roll_number: '12345',
+        odd_numbers: ['1', '23'],
+        even_numbers: [],
+        alphabets: ['B', 'a'],
+        special_characters: ['$'],
+        sum: '24',
+        concat_string: 'Ba',
+        core_version: CORE_VERSION
+    }
+};
+
+const batchResponseSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        result_id: { type: 'string', description: 'Id of the stored result (callers with an API key, when history is enabled)' },
+        results: { type: 'array', items: ref('ProcessResult') },
+        summary: {
+            type: 'object',
+            properties: {
+                total_entries: { type: 'integer' },
+                succeeded: { type: 'integer' },
+                failed: { type: 'integer' },
+                counts: { type: 'object' },
+                sum: { type: 'string' }
+            }
+        }
+    }
+};
+
+const usageSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        client: { type: 'string' },
+        rate_limit: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer' },
+                window_seconds: { type: 'integer' },
+                used: { type: 'integer' },
+                remaining: { type: 'integer' }
+            }
+        },
+        daily_items: {
+            type: 'object',
+            properties: {
+                quota: { type: 'integer' },
+                used: { type: 'integer' },
+                remaining: { type: 'integer' },
+                resets_in_seconds: { type: 'integer' }
+            }
+        }
+    }
+};
+
+const profileSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        user_id: { type: 'string' },
+        email: { type: 'string' },
+        roll_number: { type: 'string' },
+        rate_limit: { type: ['integer', 'null'] },
+        daily_item_quota: { type: ['integer', 'null'] },
+        created_at: { type: 'string', format: 'date-time' },
+        revoked_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+};
+
+// Validated by the profile store itself; declared here for the docs
+const profileCreateSchema = {
+    type: 'object',
+    required: ['user_id', 'email', 'roll_number'],
+    properties: {
+        user_id: { type: 'string' },
+        email: { type: 'string' },
+        roll_number: { type: 'string' },
+        rate_limit: { type: 'integer', minimum: 1, description: 'Requests per window for this key' },
+        daily_item_quota: { type: 'integer', minimum: 1, description: 'Items per UTC day for this key' }
+    },
+    example: { user_id: 'jane_doe_01012000', email: 'jane@example.com', roll_number: 'ABC123' }
+};
+
+const resultSummarySchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        created_at: { type: 'string', format: 'date-time' },
+        expires_at: { type: ['string', 'null'], format: 'date-time' },
+        client: { type: 'string', description: 'user_id of the caller, or anonymous' },
+        endpoint: { type: 'string' },
+        item_count: { type: 'integer' },
+        is_success: { type: 'boolean' }
+    }
+};
+
+const resultListSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        total: { type: 'integer', description: 'Results matching the filter' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        results: { type: 'array', items: ref('ResultSummary') }
+    }
+};
+
+const storedResultSchema = {
+    type: 'object',
+    properties: {
+        ...resultSummarySchema.properties,
+        request: { type: 'object', description: 'The request body as processed' },
+        result: { type: 'object', description: 'The response as first sent' }
+    }
+};
+
+const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const jobAcceptedSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        job_id: { type: 'string' },
+        status: { type: 'string', enum: JOB_STATES },
+        status_url: { type: 'string' },
+        callback_secret: { type: 'string', description: 'Key of the callback signatures (only with callback_url)' }
+    }
+};
+
+const jobSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        id: { type: 'string' },
+        status: { type: 'string', enum: JOB_STATES },
+        created_at: { type: 'string', format: 'date-time' },
+        started_at: { type: ['string', 'null'], format: 'date-time' },
+        finished_at: { type: ['string', 'null'], format: 'date-time' },
+        progress: {
+            type: 'object',
+            description: 'Items classified so far, updated while the job runs',
+            properties: { processed_items: { type: 'integer' }, total_items: { type: 'integer' } }
+        },
+        result: { oneOf: [ref('ProcessResult'), { type: 'null' }], description: 'Set once completed' },
+        error: { type: ['object', 'null'], description: 'Set once failed' },
+        callback: {
+            type: ['object', 'null'],
+            description: 'Delivery of the callback_url notification',
+            properties: {
+                url: { type: 'string' },
+                status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+                attempts: { type: 'integer' },
+                last_error: { type: ['string', 'null'] }
+            }
+        }
+    }
+};
+
+const explanationSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        value: { type: ['string', 'number', 'boolean', 'null'] },
+        normalized: { type: ['string', 'boolean', 'null'], description: 'The value as it would be reported' },
+        category: { type: ['string', 'null'], description: 'Built-in or custom category; null when the value is dropped' },
+        bucket: { type: ['string', 'null'], description: 'Response field the value lands in' },
+        rule: { type: 'string', description: 'Check that decided the category' },
+        steps: {
+            type: 'array',
+            description: 'Every decision in order: input, normalize, rule, check, number, bucket',
+            items: { type: 'object', properties: { step: { type: 'string' } } }
+        },
+        core_version: { type: 'string' }
+    },
+    example: {
+        is_success: true,
+        value: '007',
+        normalized: '7',
+        category: 'number',
+        bucket: 'odd_numbers',
+        rule: 'integer',
+        steps: [
+            { step: 'input', value: '007', type: 'string' },
+            { step: 'normalize', value: '007' },
+            { step: 'check', rule: 'blank', matched: false },
+            { step: 'check', rule: 'integer', matched: true },
+            { step: 'number', value: '7', parity: 'odd' },
+            { step: 'bucket', bucket: 'odd_numbers' }
+        ],
+        core_version: CORE_VERSION
+    }
+};
+
+const countDelta = {
+    type: 'object',
+    properties: { before: { type: 'integer' }, after: { type: 'integer' }, delta: { type: 'integer' } }
+};
+
+const comparisonSchema = {
+    type: 'object',
+    properties: {
+        is_success: { type: 'boolean' },
+        categories: {
+            type: 'object',
+            description: 'Per category (odd_numbers, alphabets, ...): items added, removed and common to both',
+            additionalProperties: {
+                type: 'object',
+                properties: { added: stringList, removed: stringList, common: stringList, count: countDelta }
+            }
+        },
+        sum: {
+            type: 'object',
+            properties: { before: { type: 'string' }, after: { type: 'string' }, delta: { type: 'string' } }
+        },
+        item_count: countDelta,
+        core_version: { type: 'string' }
+    },
+    example: {
+        is_success: true,
+        categories: {
+            odd_numbers: { added: ['3'], removed: [], common: ['1'], count: { before: 1, after: 2, delta: 1 } },
+            even_numbers: { added: [], removed: ['2'], common: [], count: { before: 1, after: 0, delta: -1 } },
+            alphabets: { added: ['b'], removed: [], common: ['a'], count: { before: 1, after: 2, delta: 1 } },
+            special_characters: { added: [], removed: ['$'], common: [], count: { before: 1, after: 0, delta: -1 } }
+        },
+        sum: { before: '3', after: '4', delta: '1' },
+        item_count: { before: 4, after: 4, delta: 0 },
+        core_version: CORE_VERSION
+    }
+};
+
+const COMPONENTS = {
+    ProcessRequest: processRequestSchema,
+    ProcessResult: processResultSchema,
+    BatchRequest: batchRequestSchema,
+    BatchEntry: batchEntrySchema,
+    BatchResponse: batchResponseSchema,
+    ItemProvenance: itemProvenanceSchema,
+    CompareRequest: compareRequestSchema,
+    Comparison: comparisonSchema,
+    ClassifyRequest: classifyRequestSchema,
+    Explanation: explanationSchema,
+    JobRequest: jobRequestSchema,
+    JobAccepted: jobAcceptedSchema,
+    Job: jobSchema,
+    ResultSummary: resultSummarySchema,
+    ResultList: resultListSchema,
+    StoredResult: storedResultSchema,
+    Usage: usageSchema,
+    Profile: profileSchema,
+    ProfileCreate: profileCreateSchema,
+    Error: errorSchema
+};
+
+// COMPONENTS with the request schemas documenting the item limits of `limits`
+function limitedComponents(limits) {
+    const components = { ...COMPONENTS };
+    ['ProcessRequest', 'BatchRequest', 'BatchEntry', 'CompareRequest', 'ClassifyRequest', 'JobRequest'].forEach(name => {
+        components[name] = limitedVariant(COMPONENTS[name], limits);
+    });
+    return components;
+}
+
+module.exports = {
+    MAX_ITEMS,
+    MAX_ITEM_LENGTH,
+    MAX_BATCH_ENTRIES,
+    optionsSchema,
+    processRequestSchema,
+    batchRequestSchema,
+    jobRequestSchema,
+    compareRequestSchema,
+    classifyRequestSchema,
+    dataFields,
+    structuredVariant,
+    limitedVariant,
+    limitedComponents,
+    COMPONENTS
+};
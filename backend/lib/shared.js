@@ -0,0 +1,18 @@
+// The classification core and docs renderer shared with the frontend. They
+// live in ../../shared in the repository; `npm pack` copies that directory
+// into the package as shared/ (scripts.prepack), so the published library
+// never reaches outside its own directory.
+const fs = require('fs');
+const path = require('path');
+
+const SHARED_DIR = [path.join(__dirname, '..', 'shared'), path.join(__dirname, '..', '..', 'shared')]
+    .find(dir => fs.existsSync(path.join(dir, 'array-core.js')));
+
+if (!SHARED_DIR) {
+    throw new Error('The shared classification core (shared/array-core.js) is missing');
+}
+
+module.exports = {
+    SHARED_DIR,
+    ...require(path.join(SHARED_DIR, 'array-core.js'))
+};
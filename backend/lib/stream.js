@@ -0,0 +1,276 @@
+// Streaming ingestion: classify arbitrarily large inputs with bounded memory.
+//
+// The request body is either NDJSON (one JSON value per line) or a single
+// top-level JSON array. Items are parsed incrementally and classified in
+// chunks, so only one chunk is held in memory at a time.
+const { processArrayData, parseNumber, formatDecimal, addDecimals, CORE_VERSION } = require('./shared');
+const { parseQueryOptions } = require('./query-options');
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const MAX_CHUNK_SIZE = 100000;
+// Largest single item (in characters) the parsers will buffer
+const MAX_ITEM_LENGTH = 1024 * 1024;
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+const MODES = ['chunks', 'aggregate'];
+
+// Error carrying an HTTP status and machine-readable code
+function streamError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function parseJsonItem(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON item: ${text.slice(0, 50)}`);
+    }
+}
+
+// Splits NDJSON text into values; blank lines are ignored
+class NdjsonParser {
+    constructor() {
+        this.buffer = '';
+    }
+
+    push(text) {
+        this.buffer += text;
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        if (this.buffer.length > MAX_ITEM_LENGTH) {
+            throw streamError(`Item exceeds ${MAX_ITEM_LENGTH} characters`, 422, 'ITEM_TOO_LONG');
+        }
+        return lines.filter(line => line.trim()).map(parseJsonItem);
+    }
+
+    end() {
+        return this.buffer.trim() ? [parseJsonItem(this.buffer)] : [];
+    }
+}
+
+// Incrementally extracts the elements of a top-level JSON array
+class JsonArrayParser {
+    constructor() {
+        this.started = false;
+        this.finished = false;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.current = '';
+    }
+
+    push(text) {
+        const items = [];
+
+        for (const char of text) {
+            if (this.finished) {
+                if (!/\s/.test(char)) throw new Error('Unexpected data after end of array');
+                continue;
+            }
+            if (!this.started) {
+                if (char === '[') this.started = true;
+                else if (!/\s/.test(char)) throw new Error('Streamed JSON body must be a top-level array');
+                continue;
+            }
+
+            if (this.inString) {
+                this.current += char;
+                if (this.escaped) this.escaped = false;
+                else if (char === '\\') this.escaped = true;
+                else if (char === '"') this.inString = false;
+            } else if (this.depth === 0 && (char === ',' || char === ']')) {
+                if (this.current.trim()) items.push(parseJsonItem(this.current));
+                else if (char === ',') throw new Error('Empty array element');
+                this.current = '';
+                if (char === ']') this.finished = true;
+            } else {
+                if (char === '"') this.inString = true;
+                else if (char === '[' || char === '{') this.depth++;
+                else if (char === ']' || char === '}') this.depth--;
+                this.current += char;
+            }
+
+            if (this.current.length > MAX_ITEM_LENGTH) {
+                throw streamError(`Item exceeds ${MAX_ITEM_LENGTH} characters`, 422, 'ITEM_TOO_LONG');
+            }
+        }
+
+        return items;
+    }
+
+    end() {
+        if (!this.finished) throw new Error('Unexpected end of JSON array');
+        return [];
+    }
+}
+
+// Running totals across chunks; only counts and the exact sum are kept
+class StreamAggregate {
+    constructor() {
+        this.counts = {};
+        this.sum = { value: 0n, scale: 0 };
+        this.totalItems = 0;
+        this.chunks = 0;
+    }
+
+    add(result, itemCount) {
+        this.chunks++;
+        this.totalItems += itemCount;
+        Object.keys(result).forEach(key => {
+            if (Array.isArray(result[key])) {
+                this.counts[key] = (this.counts[key] || 0) + result[key].length;
+            }
+        });
+        const sum = parseNumber(result.sum, { number_mode: 'extended' });
+        if (sum) this.sum = addDecimals(this.sum, sum);
+    }
+
+    toJSON() {
+        return {
+            is_success: true,
+            total_items: this.totalItems,
+            chunks: this.chunks,
+            counts: this.counts,
+            sum: formatDecimal(this.sum),
+            core_version: CORE_VERSION
+        };
+    }
+}
+
+function parseStreamRequest(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    let parser;
+    if (NDJSON_TYPES.includes(contentType)) parser = new NdjsonParser();
+    else if (contentType === 'application/json') parser = new JsonArrayParser();
+    else throw streamError(`Unsupported Content-Type for streaming: ${contentType || 'none'}`, 415, 'UNSUPPORTED_CONTENT_TYPE');
+
+    const mode = req.query.mode || 'chunks';
+    if (!MODES.includes(mode)) {
+        throw streamError(`mode must be one of: ${MODES.join(', ')}`, 400, 'INVALID_PARAMETER');
+    }
+
+    const chunkSize = req.query.chunk_size === undefined ? DEFAULT_CHUNK_SIZE : Number(req.query.chunk_size);
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+        throw streamError(`chunk_size must be an integer between 1 and ${MAX_CHUNK_SIZE}`, 400, 'INVALID_PARAMETER');
+    }
+
+    return { parser, mode, chunkSize, options: parseQueryOptions(req.query) };
+}
+
+const clientGone = () => streamError('Client closed the connection', 499, 'CLIENT_CLOSED');
+
+// Write a line, waiting for the socket to drain when its buffer is full.
+// Rejects once the client is gone, since 'drain' would then never come.
+function writeLine(res, value) {
+    if (res.destroyed) return Promise.reject(clientGone());
+    if (res.write(JSON.stringify(value) + '\n')) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const settle = error => {
+            res.off('drain', settle);
+            res.off('error', settle);
+            res.off('close', onClose);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onClose = () => settle(clientGone());
+        res.on('drain', settle);
+        res.on('error', settle);
+        res.on('close', onClose);
+    });
+}
+
+// Express handler for POST /process/stream. Must be mounted before any body
+// parser so the request stream is still unread. `hooks.consumeItems(count)`,
+// if given, is called before each chunk is classified and must resolve to
+// { allowed }; the stream stops once it is not allowed.
+async function handleStream(req, res, context = {}, hooks = {}) {
+    let request;
+    try {
+        request = parseStreamRequest(req);
+    } catch (error) {
+        return res.status(error.status).json({ is_success: false, error: error.message, code: error.code });
+    }
+
+    const { parser, mode, chunkSize, options } = request;
+    // Check the options up front, so bad ones never cost a chunk
+    const probe = processArrayData({ data: [], options }, context);
+    if (!probe.is_success) {
+        return res.status(422).json({ is_success: false, error: probe.error, code: 'INVALID_OPTIONS' });
+    }
+
+    const aggregate = new StreamAggregate();
+    let pending = [];
+    let chunkIndex = 0;
+
+    // In chunks mode the status is only committed to 200 by the first line;
+    // failures before it answer with their own status
+    const emit = value => {
+        if (!res.headersSent) res.status(200).type('application/x-ndjson');
+        return writeLine(res, value);
+    };
+    // Last line of a chunks response; a client gone by then gets nothing
+    const finish = async value => {
+        try {
+            await emit(value);
+            res.end();
+        } catch (error) {
+            res.destroy();
+        }
+    };
+
+    const flush = async () => {
+        if (pending.length === 0) return;
+        if (hooks.consumeItems && !(await hooks.consumeItems(pending.length)).allowed) {
+            throw streamError('Daily item quota exceeded', 429, 'QUOTA_EXCEEDED');
+        }
+        const result = processArrayData({ data: pending, options }, context);
+        if (!result.is_success) throw streamError(result.error, 422, 'INVALID_OPTIONS');
+        aggregate.add(result, pending.length);
+        if (mode === 'chunks') {
+            await emit({ type: 'chunk', index: chunkIndex, ...result });
+        }
+        chunkIndex++;
+        pending = [];
+    };
+
+    try {
+        req.setEncoding('utf8');
+        for await (const text of req) {
+            for (const item of parser.push(text)) {
+                pending.push(item);
+                if (pending.length >= chunkSize) await flush();
+            }
+        }
+        pending.push(...parser.end());
+        await flush();
+    } catch (error) {
+        // Stop reading; anything still being uploaded is discarded
+        req.unpipe();
+        req.resume();
+        // Nobody is left to tell
+        if (res.destroyed) return;
+        // Anything not raised above is malformed input from the parsers
+        const failure = { is_success: false, error: error.message, code: error.code || 'INVALID_STREAM' };
+        if (!res.headersSent) return res.status(error.status || 400).json(failure);
+        res.locals.payload = failure; // For metrics
+        return finish({ type: 'error', ...failure });
+    }
+
+    if (mode === 'chunks') {
+        res.locals.payload = aggregate.toJSON(); // For metrics
+        return finish({ type: 'summary', ...res.locals.payload });
+    }
+    res.json(aggregate.toJSON());
+}
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    NdjsonParser,
+    JsonArrayParser,
+    writeLine,
+    handleStream
+};
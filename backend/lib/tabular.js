@@ -0,0 +1,161 @@
+// Tabular ingestion: turn CSV, TSV or plain-text bodies into a data array
+// plus a parallel list of { row, column } sources for every cell
+const { parseQueryOptions } = require('./query-options');
+
+const CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'text/tab-separated-values': 'tsv',
+    'text/plain': 'text'
+};
+
+const FILE_EXTENSIONS = {
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.tab': 'tsv',
+    '.txt': 'text'
+};
+
+const DEFAULT_DELIMITERS = { csv: ',', tsv: '\t' };
+
+// Parse delimited text into rows of cells. Quoted fields (RFC 4180 style)
+// may contain delimiters, doubled quotes and newlines.
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.length === 0) {
+            inQuotes = true;
+        } else if (text.startsWith(delimiter, i)) {
+            row.push(cell);
+            cell = '';
+            i += delimiter.length - 1;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+    // Last line without a trailing newline
+    if (cell.length > 0 || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined) return false;
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error(`${name} must be true or false`);
+}
+
+// Resolve `columns` (comma-separated header names or 1-based indexes) to
+// 0-based column indexes
+function resolveColumns(columns, headerRow) {
+    if (columns === undefined || columns === '') return null;
+
+    return String(columns).split(',').map(name => name.trim()).map(name => {
+        if (/^\d+$/.test(name)) {
+            const index = Number(name);
+            if (index < 1) throw new Error('Column indexes start at 1');
+            return index - 1;
+        }
+        const index = headerRow ? headerRow.indexOf(name) : -1;
+        if (index === -1) {
+            throw new Error(headerRow
+                ? `Unknown column: ${name}`
+                : 'Selecting columns by name requires header=true');
+        }
+        return index;
+    });
+}
+
+// Work out the input format from an explicit parameter, the upload's file
+// name, or the content type
+function detectFormat(inputFormat, { contentType, fileName }) {
+    if (inputFormat !== undefined) {
+        if (!Object.values(CONTENT_TYPES).includes(inputFormat)) {
+            throw new Error(`input_format must be one of: ${Object.values(CONTENT_TYPES).join(', ')}`);
+        }
+        return inputFormat;
+    }
+    const extension = fileName ? (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase() : '';
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    return FILE_EXTENSIONS[extension] || CONTENT_TYPES[type] || 'text';
+}
+
+// Extract every cell as an item. `params` are the request's query/form
+// parameters; `meta` describes the body ({ contentType, fileName }).
+// Returns { data, sources, options } where sources[i] gives the 1-based row
+// (record number in the input, header included) and the column (header name when
+// there is a header, else 1-based index) of data[i].
+function extractItems(text, params = {}, meta = {}) {
+    const format = detectFormat(params.input_format, meta);
+    const header = parseBoolean(params.header, 'header');
+    const delimiter = params.delimiter !== undefined
+        ? String(params.delimiter).replace(/^\\t$/, '\t')
+        : DEFAULT_DELIMITERS[format];
+
+    if (delimiter === '') {
+        throw new Error('delimiter must not be empty');
+    }
+
+    // Plain text without a delimiter: one item per line
+    const rows = delimiter
+        ? parseDelimited(text, delimiter)
+        : text.split(/\r?\n/).map(line => [line]);
+
+    // Drop a trailing empty line left by a final newline
+    if (!delimiter && rows.length > 0 && rows[rows.length - 1][0] === '') {
+        rows.pop();
+    }
+
+    const headerRow = header ? rows[0] || [] : null;
+    const columns = resolveColumns(params.columns, headerRow);
+    const data = [];
+    const sources = [];
+
+    rows.slice(header ? 1 : 0).forEach((row, offset) => {
+        const rowNumber = offset + (header ? 2 : 1);
+        const indexes = columns || row.map((cell, index) => index);
+        indexes.forEach(index => {
+            if (index >= row.length) return;
+            data.push(row[index]);
+            sources.push({
+                row: rowNumber,
+                column: headerRow && headerRow[index] !== undefined ? headerRow[index] : index + 1
+            });
+        });
+    });
+
+    return { data, sources, options: parseQueryOptions(params) };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    parseDelimited,
+    extractItems
+};
@@ -0,0 +1,58 @@
+// Time limit for classifying requests that bring their own regular
+// expressions. The core rejects patterns that can backtrack exponentially,
+// but ones like ^\d*\d*\d*x$ still take polynomial time, enough to hold the
+// event loop for seconds on a single long item. Work on such a request runs
+// under a budget: V8 interrupts it once the budget is spent, even inside a
+// match, and the request fails with PATTERN_TIMEOUT.
+const vm = require('vm');
+
+const sandbox = vm.createContext({});
+const invoke = new vm.Script('task()');
+
+function timeoutError(limitMs) {
+    const error = new Error(`Processing with the request's patterns took longer than ${limitMs} ms; simplify the rule or pipeline patterns or send shorter items`);
+    error.status = 422;
+    error.code = 'PATTERN_TIMEOUT';
+    return error;
+}
+
+// Whether a request body carries regular expressions of its own: rule
+// regexes, or pipeline filter and replace patterns
+function suppliesPatterns(body) {
+    if (body === null || typeof body !== 'object') return false;
+    if (Array.isArray(body.entries)) return body.entries.some(suppliesPatterns);
+    const options = body.options || {};
+    const rules = Array.isArray(options.rules) ? options.rules : [];
+    const pipeline = Array.isArray(body.pipeline) ? { before: body.pipeline } : body.pipeline || {};
+    const steps = [].concat(pipeline.before || [], pipeline.after || []);
+    return rules.some(rule => rule && rule.regex !== undefined)
+        || steps.some(step => step && (step.regex !== undefined || step.pattern !== undefined));
+}
+
+// Returns run(task), which calls task() and returns its result. For bodies
+// with patterns every run shares one budget of `limitMs` milliseconds and
+// throws a PATTERN_TIMEOUT error once it is spent; otherwise tasks run
+// unbounded.
+function createTimeLimit(body, limitMs) {
+    if (!suppliesPatterns(body)) return task => task();
+
+    const deadline = Date.now() + limitMs;
+    return task => {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) throw timeoutError(limitMs);
+        sandbox.task = task;
+        try {
+            return invoke.runInContext(sandbox, { timeout: remaining });
+        } catch (error) {
+            if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw timeoutError(limitMs);
+            throw error;
+        } finally {
+            sandbox.task = undefined;
+        }
+    };
+}
+
+module.exports = {
+    suppliesPatterns,
+    createTimeLimit
+};
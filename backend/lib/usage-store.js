@@ -0,0 +1,107 @@
+// Usage stores for rate limiting and daily item quotas.
+//
+// A store tracks, per client key, recent request timestamps (for the sliding
+// window) and items processed per UTC day. Methods are async so stores backed
+// by a database or remote cache can implement the same interface:
+//
+//   recordRequest(key, now, windowMs, limit)
+//       -> { allowed, timestamps }; the request is only recorded when fewer
+//          than `limit` requests fall within the window. `timestamps` are the
+//          requests in the window afterwards, oldest first.
+//   getRequests(key, now, windowMs)   -> timestamps within the window
+//   addItems(key, day, count)         -> new item total for that day
+//   getItems(key, day)                -> item total for that day
+//   check()                           -> resolves if the store is usable,
+//                                        rejects otherwise (readiness probe)
+const fs = require('fs');
+const path = require('path');
+
+// Drop idle clients' request windows every this many requests
+const SWEEP_INTERVAL = 1000;
+
+class MemoryUsageStore {
+    constructor() {
+        this.requests = new Map();
+        this.items = new Map();
+        this.requestsSinceSweep = 0;
+    }
+
+    async recordRequest(key, now, windowMs, limit) {
+        if (++this.requestsSinceSweep >= SWEEP_INTERVAL) {
+            this.requestsSinceSweep = 0;
+            this.requests.forEach((times, client) => {
+                if (times[times.length - 1] <= now - windowMs) this.requests.delete(client);
+            });
+        }
+
+        const recent = (this.requests.get(key) || []).filter(time => time > now - windowMs);
+        const allowed = recent.length < limit;
+        if (allowed) recent.push(now);
+        this.requests.set(key, recent);
+        return { allowed, timestamps: recent };
+    }
+
+    async getRequests(key, now, windowMs) {
+        return (this.requests.get(key) || []).filter(time => time > now - windowMs);
+    }
+
+    async addItems(key, day, count) {
+        const daily = this.items.get(key) || {};
+        // Only the current day is ever queried, so older days are dropped
+        const total = (daily.day === day ? daily.total : 0) + count;
+        this.items.set(key, { day, total });
+        return total;
+    }
+
+    async getItems(key, day) {
+        const daily = this.items.get(key);
+        return daily && daily.day === day ? daily.total : 0;
+    }
+
+    async check() {}
+}
+
+// Memory store whose daily item counts survive restarts. Request windows are
+// short-lived and stay in memory only.
+class FileUsageStore extends MemoryUsageStore {
+    constructor({ file }) {
+        super();
+        this.file = path.resolve(file);
+        if (fs.existsSync(this.file)) {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            Object.keys(saved.items || {}).forEach(key => this.items.set(key, saved.items[key]));
+        }
+    }
+
+    async addItems(key, day, count) {
+        const total = await super.addItems(key, day, count);
+        const items = {};
+        this.items.forEach((value, itemKey) => {
+            items[itemKey] = value;
+        });
+        // Written synchronously so concurrent requests cannot interleave writes
+        fs.writeFileSync(this.file, JSON.stringify({ items }, null, 2));
+        return total;
+    }
+
+    async check() {
+        const target = fs.existsSync(this.file) ? this.file : path.dirname(this.file);
+        await fs.promises.access(target, fs.constants.W_OK);
+    }
+}
+
+// Build the store named by `type` ('memory' or 'file')
+function createUsageStore({ type = 'memory', file } = {}) {
+    if (type === 'memory') return new MemoryUsageStore();
+    if (type === 'file') {
+        if (!file) throw new Error('USAGE_FILE is required when USAGE_STORE=file');
+        return new FileUsageStore({ file });
+    }
+    throw new Error(`Unknown usage store: ${type} (expected memory or file)`);
+}
+
+module.exports = {
+    MemoryUsageStore,
+    FileUsageStore,
+    createUsageStore
+};
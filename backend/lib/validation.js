@@ -0,0 +1,270 @@
+// Request validation against the declared schemas in schemas.js.
+//
+// Every problem is reported as { code, pointer, message }, where `pointer` is
+// a JSON pointer (RFC 6901) into the request body. Shape errors (wrong types,
+// missing or unknown fields) answer 400; well-formed values that break a
+// constraint answer 422. In strict mode, fields a schema does not declare are
+// rejected instead of ignored.
+const { compileRules, compilePipeline, compileStats, flattenStructured } = require('./shared');
+const { processRequestSchema, dataFields, structuredVariant, limitedVariant, MAX_ITEMS, MAX_ITEM_LENGTH } = require('./schemas');
+
+// Error code reported for each keyword unless the schema overrides it
+const KEYWORD_CODES = {
+    type: 'INVALID_TYPE',
+    required: 'MISSING_FIELD',
+    additionalProperties: 'UNKNOWN_FIELD',
+    enum: 'INVALID_VALUE',
+    minLength: 'VALUE_TOO_SHORT',
+    maxLength: 'VALUE_TOO_LONG',
+    maxItems: 'TOO_MANY_ITEMS',
+    minimum: 'VALUE_TOO_SMALL',
+    maximum: 'VALUE_TOO_LARGE'
+};
+const SHAPE_KEYWORDS = ['type', 'required', 'additionalProperties'];
+
+// Stop collecting after this many errors (e.g. every item of a huge array)
+const MAX_ERRORS = 100;
+
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function matchesType(value, type) {
+    if (type === 'null') return value === null;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function describeTypes(types) {
+    const names = types.map(type => (type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`));
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+class Collector {
+    constructor(strict) {
+        this.strict = strict;
+        this.errors = [];
+        this.status = null;
+    }
+
+    get full() {
+        return this.errors.length >= MAX_ERRORS;
+    }
+
+    add(keyword, schema, pointer, message) {
+        if (this.full) return;
+        const codes = schema['x-error-codes'] || {};
+        this.errors.push({ code: codes[keyword] || KEYWORD_CODES[keyword], pointer, message });
+        const status = SHAPE_KEYWORDS.includes(keyword) ? 400 : 422;
+        // A shape error outranks a constraint error
+        this.status = this.status === 400 ? 400 : status;
+    }
+}
+
+function check(schema, value, pointer, collector) {
+    if (collector.full) return;
+    const label = pointer || 'Request body';
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return collector.add('type', schema, pointer,
+                `${label} must be ${describeTypes(types)}, got ${describeType(value)}`);
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        collector.add('enum', schema, pointer, `${label} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            collector.add('minLength', schema, pointer, `${label} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            collector.add('maxLength', schema, pointer, `${label} must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        collector.add('minimum', schema, pointer, `${label} must be at least ${schema.minimum}`);
+    }
+    if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+        collector.add('maximum', schema, pointer, `${label} must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            // Items of an oversized array are not worth checking one by one
+            return collector.add('maxItems', schema, pointer,
+                `${label} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${pointer}/${index}`, collector));
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                const fieldPointer = `${pointer}/${escapePointer(name)}`;
+                collector.add('required', properties[name] || {}, fieldPointer, `${fieldPointer} is required`);
+            }
+        });
+        Object.keys(value).forEach(name => {
+            const fieldPointer = `${pointer}/${escapePointer(name)}`;
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                if (value[name] !== undefined) check(properties[name], value[name], fieldPointer, collector);
+            } else if (collector.strict && schema.properties && !schema.additionalProperties) {
+                collector.add('additionalProperties', schema, fieldPointer, `${fieldPointer} is not a known field`);
+            }
+        });
+    }
+}
+
+// Validate `value` against `schema`. Returns { status, errors }; status is
+// null when the value is valid. `pointer` prefixes every reported pointer.
+function validate(schema, value, { strict = false, pointer = '' } = {}) {
+    const collector = new Collector(strict);
+    check(schema, value, pointer, collector);
+    return { status: collector.status, errors: collector.errors };
+}
+
+// Pointer for the label that starts a core error message, e.g.
+// "rules[2].regex is not ..." -> "<base>/rules/2/regex"
+function labelPointer(message, base, fallback) {
+    const match = /^(?:rules|pipeline)(?:\[\d+\]|\.[A-Za-z_]+)*/.exec(message);
+    if (!match) return fallback;
+    return base + match[0].split(/[.[\]]+/).filter(Boolean).map(token => `/${escapePointer(token)}`).join('');
+}
+
+// Pointer for a JSON path of structured input, e.g. "$[0].tags[1]" ->
+// "<base>/0/tags/1"
+function jsonPathPointer(path, base) {
+    const segments = path.slice(1).matchAll(/\[(\d+)\]|\.([A-Za-z_$][A-Za-z0-9_$]*)|\[("(?:[^"\\]|\\.)*")\]/g);
+    return base + Array.from(segments, ([, index, name, quoted]) => {
+        const token = index !== undefined ? index : name !== undefined ? name : JSON.parse(quoted);
+        return `/${escapePointer(token)}`;
+    }).join('');
+}
+
+// Pointer for the JSON path a structured-input error ends with, e.g.
+// "... at $[0].tags[1]" -> "<base>/0/tags/1"
+function pathPointer(message, base) {
+    const match = / at (\$.*)$/.exec(message);
+    return match ? jsonPathPointer(match[1], base) : base;
+}
+
+// Validate a /process body: the schema first, then the rules, pipeline and
+// locale the core would otherwise only reject while processing. `schema` may
+// be a schema extending the /process body (e.g. a job request). `limits`
+// replaces the default item limits (see config.js) and `defaults` holds the
+// server default options the request's options are applied over.
+function validateProcessRequest(body, { strict = false, pointer = '', schema = processRequestSchema, limits = null, defaults = {} } = {}) {
+    const options = { ...defaults, ...((body && body.options) || {}) };
+    const structured = options.structured === true;
+    let target = structured ? structuredVariant(schema) : schema;
+    if (limits) target = limitedVariant(target, limits);
+    const result = validate(target, body, { strict, pointer });
+    if (result.status) return result;
+
+    const errors = [];
+    const semantic = (code, target, run) => {
+        try {
+            run();
+        } catch (error) {
+            errors.push({ code, pointer: target(error.message), message: error.message });
+        }
+    };
+
+    if (options.locale !== undefined) {
+        semantic('INVALID_LOCALE', () => `${pointer}/options/locale`, () => Intl.getCanonicalLocales(options.locale));
+    }
+    if (options.rules !== undefined) {
+        semantic('INVALID_RULE',
+            message => labelPointer(message, `${pointer}/options`, `${pointer}/options/rules`),
+            () => compileRules(options.rules));
+    }
+    if (structured) {
+        // The schema only sees top-level elements; the item limits apply to
+        // the leaves
+        const maxItems = limits ? limits.max_items : MAX_ITEMS;
+        const maxItemLength = limits ? limits.max_item_length : MAX_ITEM_LENGTH;
+        dataFields(schema).forEach(name => {
+            let leaves = null;
+            semantic('MAX_DEPTH_EXCEEDED',
+                message => pathPointer(message, `${pointer}/${name}`),
+                () => {
+                    leaves = flattenStructured(body[name], options);
+                });
+            if (!leaves) return;
+            if (leaves.values.length > maxItems) {
+                const target = `${pointer}/${name}`;
+                errors.push({ code: 'TOO_MANY_ITEMS', pointer: target, message: `${target} must have at most ${maxItems} items (structured leaves)` });
+                return;
+            }
+            leaves.values.forEach((value, index) => {
+                if (typeof value !== 'string' || value.length <= maxItemLength || errors.length >= MAX_ERRORS) return;
+                const target = jsonPathPointer(leaves.paths[index], `${pointer}/${name}`);
+                errors.push({ code: 'ITEM_TOO_LONG', pointer: target, message: `${target} must be at most ${maxItemLength} characters` });
+            });
+        });
+    }
+    if (options.stats !== undefined) {
+        semantic('INVALID_STATS', () => `${pointer}/options/stats`, () => compileStats(options.stats));
+    }
+    if (body.pipeline !== undefined) {
+        semantic('INVALID_PIPELINE',
+            message => {
+                const target = labelPointer(message, pointer, `${pointer}/pipeline`);
+                // A bare step list is reported as pipeline.before by the core
+                return Array.isArray(body.pipeline) ? target.replace(`${pointer}/pipeline/before`, `${pointer}/pipeline`) : target;
+            },
+            () => compilePipeline(body.pipeline, options));
+    }
+
+    return { status: errors.length > 0 ? 422 : null, errors };
+}
+
+// Number of items a request processes, counted against the daily quota: the
+// leaves of structured input, else the top-level elements. `options` are the
+// effective options (server defaults under the request's own). Data too
+// deeply nested to flatten, which validation rejects, counts its top-level
+// elements.
+function countItems(data, options = {}) {
+    if (!Array.isArray(data)) return 0;
+    if (!options || options.structured !== true) return data.length;
+    try {
+        return flattenStructured(data, options).values.length;
+    } catch (error) {
+        return data.length;
+    }
+}
+
+// Response body for a failed validation; `code` and `message` repeat the
+// first error for clients that only look at one
+function validationFailure(errors) {
+    return {
+        is_success: false,
+        error: 'Validation failed',
+        code: errors[0].code,
+        message: errors[0].message,
+        errors
+    };
+}
+
+module.exports = {
+    countItems,
+    validate,
+    validateProcessRequest,
+    validationFailure
+};
@@ -0,0 +1,147 @@
+// Signed webhook delivery.
+//
+// Each POST carries the JSON payload and two headers:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// so receivers can check both the sender and the freshness of a delivery.
+//
+// Callback URLs come from callers, so hosts that resolve to loopback,
+// private, link-local or reserved addresses are refused unless the server
+// lists them in `allowedHosts` (jobs.callback_allowed_hosts).
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const util = require('util');
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedHost(host, allowedHosts) {
+    return allowedHosts.some(allowed => allowed.toLowerCase() === host.toLowerCase());
+}
+
+function blockedMessage(host, addresses) {
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked ? `${host} resolves to a private or reserved address (${blocked.address})` : null;
+}
+
+// Why `url` may not receive callbacks, or null when it may. `lookup` has the
+// signature of dns.lookup.
+async function checkCallbackTarget(url, allowedHosts = [], lookup = dns.lookup) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (isAllowedHost(host, allowedHosts)) return null;
+
+    let addresses;
+    try {
+        addresses = await util.promisify(lookup)(host, { all: true, verbatim: true });
+    } catch (error) {
+        return `cannot resolve ${host}`;
+    }
+    return blockedMessage(host, addresses);
+}
+
+// `lookup` for the delivery connection, failing on blocked addresses. The
+// request then goes to an address that was checked: a host with a short TTL
+// cannot pass checkCallbackTarget and resolve to 127.0.0.1 for the
+// connection (DNS rebinding).
+function guardedLookup(allowedHosts, lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, options, (error, address, family) => {
+            if (error || isAllowedHost(hostname, allowedHosts)) return callback(error, address, family);
+            const message = blockedMessage(hostname, Array.isArray(address) ? address : [{ address }]);
+            if (message) return callback(new Error(message));
+            callback(null, address, family);
+        });
+    };
+}
+
+// POST `body` to `url` without following redirects; resolves to the status
+function post(url, { headers, body, lookup, timeoutMs }) {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup,
+            agent: false,
+            signal: AbortSignal.timeout(timeoutMs)
+        }, response => {
+            response.on('error', reject);
+            response.on('end', () => resolve(response.statusCode));
+            response.resume(); // Release the connection
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// POST `payload` to `url`, retrying network errors, timeouts and non-2xx
+// answers up to `attempts` times with exponential backoff (backoffMs, then
+// twice that, ...). The target is checked again before every try, since its
+// host may resolve elsewhere by then, and the connection only goes to
+// addresses that pass the same check. `lookup` (default dns.lookup) resolves
+// host names. `onAttempt(attempt, error)` reports every try, with a null
+// error once delivered. Resolves to true if the payload was delivered.
+async function deliverWebhook(url, payload, { secret, headers = {}, attempts = 5, backoffMs = 1000, timeoutMs = 10000, allowedHosts = [], lookup = dns.lookup, onAttempt = () => {} }) {
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        // Signed per attempt so retries carry a fresh timestamp
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        let error = null;
+        try {
+            error = await checkCallbackTarget(url, allowedHosts, lookup);
+            if (!error) {
+                const status = await post(url, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Signature': signPayload(secret, timestamp, body),
+                        ...headers
+                    },
+                    body,
+                    lookup: guardedLookup(allowedHosts, lookup),
+                    timeoutMs
+                });
+                if (status < 200 || status >= 300) error = `HTTP ${status}`;
+            }
+        } catch (failure) {
+            error = failure.message;
+        }
+
+        onAttempt(attempt, error);
+        if (!error) return true;
+        if (attempt < attempts) await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+    return false;
+}
+
+module.exports = {
+    checkCallbackTarget,
+    signPayload,
+    deliverWebhook
+};
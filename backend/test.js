@@ -1,22 +1,42 @@
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { createApp, createProcessor, Logger, processArrayData } = require('./index');
+const { MemoryResultStore } = require('./lib/result-store');
+const { JobQueue, runInWorker } = require('./lib/job-queue');
+const { writeLine } = require('./lib/stream');
+const { deliverWebhook } = require('./lib/webhooks');
 
-// Test configuration
-const API_BASE_URL = 'https://array-data-processor.onrender.com';
+// Test configuration: by default the tests run against an instance started
+// in this process on an ephemeral port. API_BASE_URL targets a running server
+// instead, with ADMIN_TOKEN its admin token.
+let API_BASE_URL = process.env.API_BASE_URL;
+// Admin endpoint tests only run when the server's admin token is known
+let ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Webhook tests need the server to reach a stub on this machine, with
+// 127.0.0.1 in its JOBS_CALLBACK_ALLOWED_HOSTS
+let LOCAL_SERVER = false;
+// Only failures are logged by in-process instances
+const quietLogger = new Logger({ level: 'error' });
 let testsPassed = 0;
 let testsFailed = 0;
 
 // Helper function to make HTTP requests
-function makeRequest(method, path, data = null) {
+function makeRequest(method, path, data = null, contentType = 'application/json', extraHeaders = {}) {
     return new Promise((resolve, reject) => {
         const url = new URL(path, API_BASE_URL);
         const options = {
             method,
             headers: {
-                'Content-Type': 'application/json',
+                'Content-Type': contentType,
+                ...extraHeaders
             }
         };
 
-        const req = http.request(url, options, (res) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, options, (res) => {
             let body = '';
             res.on('data', (chunk) => {
                 body += chunk;
@@ -24,9 +44,9 @@ function makeRequest(method, path, data = null) {
             res.on('end', () => {
                 try {
                     const jsonBody = JSON.parse(body);
-                    resolve({ status: res.statusCode, data: jsonBody });
+                    resolve({ status: res.statusCode, headers: res.headers, data: jsonBody });
                 } catch (error) {
-                    resolve({ status: res.statusCode, data: body });
+                    resolve({ status: res.statusCode, headers: res.headers, data: body });
                 }
             });
         });
@@ -34,12 +54,27 @@ function makeRequest(method, path, data = null) {
         req.on('error', reject);
 
         if (data) {
-            req.write(JSON.stringify(data));
+            // Strings are sent as-is (raw bodies such as NDJSON)
+            req.write(typeof data === 'string' ? data : JSON.stringify(data));
         }
         req.end();
     });
 }
 
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll a job until it leaves the queue (or give up after ~10s)
+async function waitForJob(id) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const response = await makeRequest('GET', `/jobs/${id}`);
+        if (!['queued', 'running'].includes(response.data.status)) return response;
+        await sleep(100);
+    }
+    return makeRequest('GET', `/jobs/${id}`);
+}
+
 // Test assertion helper
 function assertEqual(actual, expected, testName) {
     if (JSON.stringify(actual) === JSON.stringify(expected)) {
@@ -94,6 +129,7 @@ async function runTests() {
         assertEqual(basicResponse.data.special_characters, ["$"], 'Correct special characters');
         assertEqual(basicResponse.data.sum, "24", 'Correct sum');
         assertEqual(basicResponse.data.concat_string, "Ba", 'Correct concatenated string');
+        assertTrue(typeof basicResponse.data.core_version === 'string', 'Response reports core version');
 
         // Test 4: Even numbers test
         console.log('\n🔢 Testing even numbers...');
@@ -135,13 +171,768 @@ async function runTests() {
         };
         const invalidResponse = await makeRequest('POST', '/process', invalidTest);
         assertTrue(invalidResponse.data.is_success === false, 'Invalid input returns failure');
+        assertTrue(invalidResponse.status === 400, 'Invalid input returns 400');
+        assertEqual(invalidResponse.data.code, 'DATA_NOT_ARRAY', 'Invalid input reports DATA_NOT_ARRAY');
+        assertEqual(invalidResponse.data.errors && invalidResponse.data.errors[0].pointer, '/data', 'Error points at /data');
 
         // Test 8: Missing data field
         console.log('\n❌ Testing missing data field...');
         const missingDataTest = {};
         const missingResponse = await makeRequest('POST', '/process', missingDataTest);
-        assertTrue(missingResponse.data.is_success === true, 'Missing data field handled gracefully');
-        assertEqual(missingResponse.data.sum, "0", 'Missing data returns zero sum');
+        assertTrue(missingResponse.status === 400, 'Missing data field returns 400');
+        assertEqual(missingResponse.data.code, 'DATA_REQUIRED', 'Missing data field reports DATA_REQUIRED');
+
+        // Test 10: Extended number mode
+        console.log('\n🔢 Testing extended number mode...');
+        const extendedTest = {
+            data: ["-5", "3.14", "1e3", "0x1F", "99999999999999999999", "a"],
+            options: { number_mode: 'extended', radix_literals: true }
+        };
+        const extendedResponse = await makeRequest('POST', '/process', extendedTest);
+        assertEqual(extendedResponse.data.odd_numbers, ["-5", "31", "99999999999999999999"], 'Signed, hex and big odd numbers');
+        assertEqual(extendedResponse.data.even_numbers, ["1000"], 'Exponent notation parsed as integer');
+        assertEqual(extendedResponse.data.decimal_numbers, ["3.14"], 'Non-integers go to decimal_numbers');
+        assertEqual(extendedResponse.data.sum, "100000000000000001028.14", 'Exact arbitrary-precision sum');
+        const queryModeResponse = await makeRequest('POST', '/process?number_mode=extended', { data: ["3.14", "2"] });
+        assertEqual(queryModeResponse.data.decimal_numbers, ["3.14"], 'Query options apply to JSON bodies');
+        const bodyWinsResponse = await makeRequest('POST', '/process?number_mode=extended', { data: ["3.14"], options: { number_mode: 'integer' } });
+        assertEqual(bodyWinsResponse.data.decimal_numbers || [], [], 'Body options take precedence over query options');
+
+        // Test 11: Invalid number mode
+        const badModeResponse = await makeRequest('POST', '/process', { data: ["1"], options: { number_mode: 'roman' } });
+        assertTrue(badModeResponse.data.is_success === false, 'Unknown number_mode returns failure');
+
+        // Test 12: Unicode letters and locale collation
+        console.log('\n🌍 Testing Unicode alphabets...');
+        const unicodeTest = {
+            data: ["é", "ß", "Ж", "ω", "a", "Z"],
+            options: { locale: 'de' }
+        };
+        const unicodeResponse = await makeRequest('POST', '/process', unicodeTest);
+        assertEqual(unicodeResponse.data.alphabets, ["Z", "Ж", "a", "é", "ß", "ω"], 'Unicode letters detected and collated');
+        assertEqual(unicodeResponse.data.special_characters, [], 'No Unicode letters in special characters');
+
+        const lowerFirstResponse = await makeRequest('POST', '/process', {
+            data: ["b", "A", "a", "B"],
+            options: { alphabet_sort: 'lowercase_first' }
+        });
+        assertEqual(lowerFirstResponse.data.concat_string, "abAB", 'Lowercase-first sort policy');
+
+        const inputOrderResponse = await makeRequest('POST', '/process', {
+            data: ["b", "A", "a", "B"],
+            options: { alphabet_sort: 'input_order' }
+        });
+        assertEqual(inputOrderResponse.data.alphabets, ["b", "A", "a", "B"], 'Input-order sort policy');
+
+        // Test 13: Extended token taxonomy
+        console.log('\n🏷️ Testing extended token taxonomy...');
+        const taxonomyTest = {
+            data: ["hello", "abc123", "A1", "$", "  ", "😀", "a", "2"],
+            options: { taxonomy: 'extended' }
+        };
+        const taxonomyResponse = await makeRequest('POST', '/process', taxonomyTest);
+        assertEqual(taxonomyResponse.data.words, ["hello"], 'Words bucket');
+        assertEqual(taxonomyResponse.data.alphanumerics, ["abc123", "A1"], 'Alphanumerics bucket');
+        assertEqual(taxonomyResponse.data.symbols, ["$"], 'Symbols bucket');
+        assertEqual(taxonomyResponse.data.whitespace, ["  "], 'Whitespace bucket');
+        assertEqual(taxonomyResponse.data.emojis, ["😀"], 'Emojis bucket');
+        assertEqual(taxonomyResponse.data.special_characters, [], 'Nothing left in special characters');
+        assertEqual(taxonomyResponse.data.counts.words, 1, 'Bucket counts reported');
+
+        const legacyTaxonomyResponse = await makeRequest('POST', '/process', { data: ["hello", "$"] });
+        assertEqual(legacyTaxonomyResponse.data.special_characters, ["hello", "$"], 'Legacy taxonomy by default');
+        assertTrue(legacyTaxonomyResponse.data.words === undefined, 'No extended buckets by default');
+
+        // Test 14: Custom category rules
+        console.log('\n📐 Testing custom category rules...');
+        const rulesTest = {
+            data: ["user@example.com", "ABC-1234", "XYZ-0001", "150", "2", "a"],
+            options: {
+                rules: [
+                    { category: 'emails', regex: '^[^@\\s]+@[^@\\s]+\\.\\w+$' },
+                    { category: 'product_codes', priority: 10, regex: '^[A-Z]{3}-\\d{4}$', aggregate: 'concat' },
+                    { category: 'large_numbers', range: { min: 100 }, aggregate: 'sum' }
+                ]
+            }
+        };
+        const rulesResponse = await makeRequest('POST', '/process', rulesTest);
+        const custom = rulesResponse.data.custom_categories || {};
+        assertEqual(custom.emails, { items: ["user@example.com"], aggregate: 'count', value: 1 }, 'Regex rule with count aggregate');
+        assertEqual(custom.product_codes && custom.product_codes.value, "ABC-1234XYZ-0001", 'Concat aggregate');
+        assertEqual(custom.large_numbers && custom.large_numbers.value, "150", 'Numeric range rule with sum aggregate');
+        assertEqual(rulesResponse.data.even_numbers, ["2"], 'Unmatched items fall through to built-in classification');
+
+        const badRulesResponse = await makeRequest('POST', '/process', { data: ["a"], options: { rules: [{ category: 'x' }] } });
+        assertTrue(badRulesResponse.data.is_success === false, 'Rule without matchers returns failure');
+
+        // Test 15: Transformation pipeline
+        console.log('\n🔧 Testing transformation pipeline...');
+        const pipelineTest = {
+            data: [" A", "a", "", "b ", "1", "1", "$"],
+            pipeline: {
+                before: [
+                    { op: 'map', fn: 'trim' },
+                    { op: 'filter', non_empty: true },
+                    { op: 'map', fn: 'lowercase' },
+                    { op: 'dedupe' }
+                ],
+                after: [{ op: 'slice', end: 1 }]
+            }
+        };
+        const pipelineResponse = await makeRequest('POST', '/process', pipelineTest);
+        assertEqual(pipelineResponse.data.alphabets, ["a"], 'Pipeline steps applied before and after classification');
+        assertEqual(pipelineResponse.data.odd_numbers, ["1"], 'Dedupe removed duplicate numbers');
+        assertEqual(
+            (pipelineResponse.data.pipeline_trace || []).map(step => step.count),
+            [7, 7, 6, 6, 4, 4, 3],
+            'Pipeline trace reports item counts after each step'
+        );
+
+        const badPipelineResponse = await makeRequest('POST', '/process', { data: ["a"], pipeline: [{ op: 'explode' }] });
+        assertTrue(badPipelineResponse.data.is_success === false, 'Unknown pipeline op returns failure');
+        const slowFilter = await makeRequest('POST', '/process', { data: ['a'], pipeline: [{ op: 'filter', regex: '^(a|a)+$' }] });
+        const slowReplace = await makeRequest('POST', '/process', { data: ['a'], pipeline: [{ op: 'map', fn: 'replace', pattern: '(a+)+b', replacement: '' }] });
+        assertTrue(slowFilter.data.is_success === false && slowReplace.data.is_success === false, 'Pipeline patterns with exponential backtracking are rejected');
+
+        // Test 16: Batch processing
+        console.log('\n📦 Testing batch processing...');
+        const batchTest = {
+            entries: [
+                { id: 'first', data: ["a", "1", "23", "$", "B"] },
+                { id: 'broken', data: "not an array" },
+                { id: 'third', data: ["2", "z"], options: { number_mode: 'extended' } }
+            ]
+        };
+        const batchResponse = await makeRequest('POST', '/process/batch', batchTest);
+        const batchResults = batchResponse.data.results || [];
+        assertTrue(batchResponse.data.is_success === true, 'Batch returns success');
+        assertEqual(batchResults.map(r => r.id), ['first', 'broken', 'third'], 'Batch results keep entry ids and order');
+        assertEqual(batchResults[0] && batchResults[0].odd_numbers, ["1", "23"], 'Batch entry uses processArrayData shape');
+        assertTrue(batchResults[1] && batchResults[1].is_success === false, 'Bad entry fails in isolation');
+        assertEqual(batchResponse.data.summary, {
+            total_entries: 3,
+            succeeded: 2,
+            failed: 1,
+            counts: { odd_numbers: 2, even_numbers: 1, alphabets: 3, special_characters: 1 },
+            sum: "26"
+        }, 'Batch aggregate summary');
+
+        const badBatchResponse = await makeRequest('POST', '/process/batch', { entries: 'nope' });
+        assertTrue(badBatchResponse.data.is_success === false, 'Malformed batch returns failure');
+        assertEqual([badBatchResponse.status, badBatchResponse.data.code], [400, 'ENTRIES_NOT_ARRAY'], 'Malformed batch returns 400');
+
+        // Test 17: Streaming ingestion
+        console.log('\n🌊 Testing streaming ingestion...');
+        const ndjsonResponse = await makeRequest(
+            'POST', '/process/stream?chunk_size=2',
+            '"a"\n"1"\n"23"\n"$"\n"B"\n',
+            'application/x-ndjson'
+        );
+        const streamLines = String(ndjsonResponse.data).trim().split('\n').map(line => JSON.parse(line));
+        assertEqual(streamLines.map(line => line.type), ['chunk', 'chunk', 'chunk', 'summary'], 'NDJSON streamed as incremental chunks');
+        assertEqual(streamLines[0].odd_numbers, ["1"], 'Chunks use processArrayData shape');
+        assertEqual(streamLines[3].counts, { odd_numbers: 2, even_numbers: 0, alphabets: 2, special_characters: 1 }, 'Stream summary counts');
+        assertEqual(streamLines[3].sum, "24", 'Stream summary sum');
+
+        const arrayStreamResponse = await makeRequest(
+            'POST', '/process/stream?mode=aggregate',
+            '["2", 4, "x", [1, "]"], "6"]'
+        );
+        assertEqual(arrayStreamResponse.data.total_items, 5, 'JSON array streamed in aggregate mode');
+        assertEqual(arrayStreamResponse.data.sum, "12", 'Aggregate mode sum');
+
+        const truncatedStreamResponse = await makeRequest('POST', '/process/stream?mode=aggregate', '[1, 2');
+        assertTrue(truncatedStreamResponse.data.is_success === false, 'Truncated stream returns failure');
+        const badStreamOptions = await makeRequest('POST', '/process/stream?taxonomy=bogus', '"a"\n"1"\n', 'application/x-ndjson');
+        assertTrue(badStreamOptions.status === 422 && badStreamOptions.data.code === 'INVALID_OPTIONS', 'Invalid stream options are rejected before streaming');
+        const earlyStreamError = await makeRequest('POST', '/process/stream', '{bad\n"a"\n', 'application/x-ndjson');
+        assertEqual([earlyStreamError.status, earlyStreamError.data.code], [400, 'INVALID_STREAM'], 'A stream failing before its first chunk answers with an error status');
+        const quotaLimited = await listen(createApp({ config: { rate_limit: { daily_item_quota: 1 } }, logger: quietLogger }));
+        try {
+            const quotaStreamUrl = `http://127.0.0.1:${quotaLimited.address().port}/process/stream`;
+            const lateStreamError = await makeRequest('POST', `${quotaStreamUrl}?chunk_size=1`, '"a"\n"b"\n', 'application/x-ndjson');
+            const lateStreamLines = String(lateStreamError.data).trim().split('\n').map(line => JSON.parse(line));
+            assertEqual(
+                [lateStreamError.status, lateStreamLines.map(line => line.type)],
+                [200, ['chunk', 'error']],
+                'A stream failing after a chunk ends with an error line'
+            );
+            const overQuota = await makeRequest('POST', quotaStreamUrl, '"a"\n"b"\n', 'application/x-ndjson');
+            assertEqual([overQuota.status, overQuota.data.code], [429, 'QUOTA_EXCEEDED'], 'A stream over quota on its first chunk answers 429');
+        } finally {
+            quotaLimited.close();
+        }
+        const stalledResponse = Object.assign(new EventEmitter(), { destroyed: false, write: () => false });
+        const stalledWrite = writeLine(stalledResponse, { type: 'chunk' });
+        stalledResponse.emit('close');
+        const stalledOutcome = await stalledWrite.then(() => 'resolved', error => error.code);
+        assertEqual(stalledOutcome, 'CLIENT_CLOSED', 'A pending stream write ends when the client disconnects');
+
+        // Test 18: CSV, TSV and plain-text ingestion
+        console.log('\n📄 Testing tabular ingestion...');
+        const csvResponse = await makeRequest(
+            'POST', '/process?header=true&columns=name,qty',
+            'name,qty,note\nalpha,3,"x,y"\nb,4,$\n',
+            'text/csv'
+        );
+        assertEqual(csvResponse.data.odd_numbers, ["3"], 'CSV cells classified');
+        assertEqual(csvResponse.data.special_characters, ["alpha"], 'Only selected columns are read');
+        assertEqual(csvResponse.data.item_sources && csvResponse.data.item_sources.even_numbers, [{ row: 3, column: 'qty' }], 'CSV items keep source row and column');
+
+        const textResponse = await makeRequest('POST', '/process', 'a\n1\n\n2\n', 'text/plain');
+        assertEqual(textResponse.data.even_numbers, ["2"], 'Plain text split on newlines');
+        assertEqual(textResponse.data.item_sources && textResponse.data.item_sources.even_numbers, [{ row: 4, column: 1 }], 'Plain text items keep line numbers');
+
+        const boundary = 'testboundary';
+        const multipartBody = [
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="file"; filename="data.tsv"',
+            'Content-Type: text/tab-separated-values',
+            '',
+            'a\t1\n2\tB',
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+        const uploadResponse = await makeRequest('POST', '/process', multipartBody, `multipart/form-data; boundary=${boundary}`);
+        assertEqual(uploadResponse.data.alphabets, ["B", "a"], 'Multipart TSV upload classified');
+        assertEqual(uploadResponse.data.item_sources && uploadResponse.data.item_sources.odd_numbers, [{ row: 1, column: 2 }], 'Uploaded items keep source row and column');
+
+        // Test 19: Content negotiation
+        console.log('\n🗂️ Testing result formats...');
+        const formatTest = { data: ["a", "1", "$"] };
+        const csvFormatResponse = await makeRequest('POST', '/process?format=csv', formatTest);
+        assertTrue(/^text\/csv/.test(csvFormatResponse.headers['content-type']), 'CSV format has CSV Content-Type');
+        assertTrue(String(csvFormatResponse.data).includes('odd_numbers,1'), 'CSV export lists category items');
+
+        const xmlFormatResponse = await makeRequest('POST', '/process', formatTest, 'application/json', { Accept: 'application/xml' });
+        assertTrue(/^application\/xml/.test(xmlFormatResponse.headers['content-type']), 'Accept header selects XML');
+        assertTrue(String(xmlFormatResponse.data).includes('<sum>1</sum>'), 'XML body contains result fields');
+
+        const yamlFormatResponse = await makeRequest('POST', '/process?format=yaml', formatTest);
+        assertTrue(String(yamlFormatResponse.data).includes('sum: "1"'), 'YAML body contains result fields');
+
+        const msgpackFormatResponse = await makeRequest('POST', '/process', formatTest, 'application/json', { Accept: 'application/msgpack' });
+        assertTrue(/^application\/msgpack/.test(msgpackFormatResponse.headers['content-type']), 'Accept header selects MessagePack');
+
+        const unsupportedFormatResponse = await makeRequest('POST', '/process', formatTest, 'application/json', { Accept: 'image/png' });
+        assertTrue(unsupportedFormatResponse.status === 406, 'Unsupported Accept returns 406');
+        assertTrue(unsupportedFormatResponse.data.is_success === false, '406 uses the error response shape');
+
+        // Test 20: Identity profiles
+        console.log('\n🪪 Testing identity profiles...');
+        const defaultIdentityResponse = await makeRequest('POST', '/process', { data: ["1"] });
+        assertEqual(defaultIdentityResponse.data.user_id, 'demo_user_29082025', 'Demo identity without credentials');
+
+        const badKeyResponse = await makeRequest('POST', '/process', { data: ["1"] }, 'application/json', { 'X-API-Key': 'not-a-key' });
+        assertTrue(badKeyResponse.status === 401, 'Unknown API key returns 401');
+        assertTrue(badKeyResponse.data.is_success === false, 'Unknown API key uses the error response shape');
+
+        if (ADMIN_TOKEN) {
+            const adminHeaders = { 'X-Admin-Token': ADMIN_TOKEN };
+            const userId = `test_user_${Date.now()}`;
+            const createResponse = await makeRequest('POST', '/admin/profiles', {
+                user_id: userId,
+                email: 'tester@example.com',
+                roll_number: '98765'
+            }, 'application/json', adminHeaders);
+            assertTrue(createResponse.status === 201, 'Admin can create a profile');
+            const apiKey = createResponse.data.api_key;
+            const profileId = createResponse.data.profile && createResponse.data.profile.id;
+
+            const keyedResponse = await makeRequest('POST', '/process', { data: ["1"] }, 'application/json', { 'X-API-Key': apiKey });
+            assertEqual(
+                [keyedResponse.data.user_id, keyedResponse.data.email, keyedResponse.data.roll_number],
+                [userId, 'tester@example.com', '98765'],
+                'Response carries the caller identity'
+            );
+
+            // A user id header is not a credential: it must not reach the profile's history or jobs
+            const keyedJob = await makeRequest('POST', '/jobs', { data: ["1"] }, 'application/json', { 'X-API-Key': apiKey });
+            const spoofHeaders = { 'X-User-Id': userId };
+            const spoofedProcess = await makeRequest('POST', '/process', { data: ["1"] }, 'application/json', spoofHeaders);
+            assertEqual(spoofedProcess.data.user_id, 'demo_user_29082025', 'X-User-Id alone does not select a profile');
+            const spoofedResult = await makeRequest('GET', `/results/${keyedResponse.data.result_id}`, null, 'application/json', spoofHeaders);
+            const spoofedList = await makeRequest('GET', '/results', null, 'application/json', spoofHeaders);
+            assertTrue(
+                spoofedResult.status === 404 && !(spoofedList.data.results || []).some(r => r.id === keyedResponse.data.result_id),
+                'X-User-Id alone cannot read another profile\'s results'
+            );
+            const spoofedJob = await makeRequest('GET', `/jobs/${keyedJob.data.job_id}`, null, 'application/json', spoofHeaders);
+            assertTrue(keyedJob.status === 202 && spoofedJob.status === 404, 'X-User-Id alone cannot read another profile\'s jobs');
+
+            const listResponse = await makeRequest('GET', '/admin/profiles', null, 'application/json', adminHeaders);
+            assertTrue((listResponse.data.profiles || []).some(p => p.id === profileId), 'Admin can list profiles');
+            assertTrue((listResponse.data.profiles || []).every(p => p.api_key === undefined), 'Profile list hides API keys');
+
+            const revokeResponse = await makeRequest('DELETE', `/admin/profiles/${profileId}`, null, 'application/json', adminHeaders);
+            assertTrue(revokeResponse.status === 200 && Boolean(revokeResponse.data.profile.revoked_at), 'Admin can revoke a profile');
+
+            const revokedResponse = await makeRequest('POST', '/process', { data: ["1"] }, 'application/json', { 'X-API-Key': apiKey });
+            assertTrue(revokedResponse.status === 401, 'Revoked API key returns 401');
+        } else {
+            console.log('⏭️  Skipping admin profile tests (ADMIN_TOKEN not set)');
+        }
+
+        const noAdminResponse = await makeRequest('GET', '/admin/profiles');
+        assertTrue(noAdminResponse.status === 401 || noAdminResponse.status === 403, 'Admin endpoints require the admin token');
+
+        // Test 21: Rate limits and item quotas
+        console.log('\n🚦 Testing rate limits and quotas...');
+        const limitedResponse = await makeRequest('POST', '/process', { data: ["1", "2"] });
+        assertTrue(Boolean(limitedResponse.headers['ratelimit-limit']), 'Processing responses carry RateLimit-Limit');
+        assertTrue(limitedResponse.headers['ratelimit-remaining'] !== undefined, 'Processing responses carry RateLimit-Remaining');
+
+        const usageResponse = await makeRequest('GET', '/usage');
+        assertTrue(usageResponse.data.is_success === true, 'GET /usage succeeds');
+        assertTrue(usageResponse.data.daily_items && usageResponse.data.daily_items.used >= 2, 'Usage counts processed items');
+
+        if (ADMIN_TOKEN) {
+            const adminHeaders = { 'X-Admin-Token': ADMIN_TOKEN };
+            const createResponse = await makeRequest('POST', '/admin/profiles', {
+                user_id: `limited_user_${Date.now()}`,
+                email: 'limited@example.com',
+                roll_number: '11111',
+                rate_limit: 2,
+                daily_item_quota: 3
+            }, 'application/json', adminHeaders);
+            const keyHeaders = { 'X-API-Key': createResponse.data.api_key };
+            const profileId = createResponse.data.profile && createResponse.data.profile.id;
+
+            const overQuotaResponse = await makeRequest('POST', '/process', { data: ["1", "2", "3", "4"] }, 'application/json', keyHeaders);
+            assertTrue(overQuotaResponse.status === 429, 'Exceeding the daily item quota returns 429');
+            assertEqual(overQuotaResponse.data.error, 'Daily item quota exceeded', 'Quota error message');
+
+            await makeRequest('POST', '/process', { data: ["1"] }, 'application/json', keyHeaders);
+            const overLimitResponse = await makeRequest('POST', '/process', { data: ["1"] }, 'application/json', keyHeaders);
+            assertTrue(overLimitResponse.status === 429, 'Exceeding the request rate limit returns 429');
+            assertTrue(Boolean(overLimitResponse.headers['retry-after']), 'Rate limited responses carry Retry-After');
+
+            const profileUsage = await makeRequest('GET', `/admin/profiles/${profileId}/usage`, null, 'application/json', adminHeaders);
+            assertEqual(
+                [profileUsage.data.rate_limit.limit, profileUsage.data.daily_items.quota, profileUsage.data.daily_items.used],
+                [2, 3, 1],
+                'Admin usage reflects profile overrides'
+            );
+        }
+
+        // Test 22: Request validation
+        console.log('\n🧾 Testing request validation...');
+        const longItemResponse = await makeRequest('POST', '/process', { data: ["a", "x".repeat(10001)] });
+        assertTrue(longItemResponse.status === 422, 'Over-long item returns 422');
+        assertEqual(
+            [longItemResponse.data.code, longItemResponse.data.errors[0].pointer],
+            ['ITEM_TOO_LONG', '/data/1'],
+            'Over-long item reports ITEM_TOO_LONG with a pointer'
+        );
+
+        const badItemResponse = await makeRequest('POST', '/process', { data: ["a", { nested: true }] });
+        assertTrue(badItemResponse.status === 400, 'Object item returns 400');
+        assertEqual(badItemResponse.data.code, 'ITEM_INVALID_TYPE', 'Object item reports ITEM_INVALID_TYPE');
+
+        const badRulePointer = await makeRequest('POST', '/process', {
+            data: ["a"],
+            options: { rules: [{ category: 'x', regex: '(' }] }
+        });
+        assertEqual(
+            [badRulePointer.status, badRulePointer.data.code, badRulePointer.data.errors[0].pointer],
+            [422, 'INVALID_RULE', '/options/rules/0/regex'],
+            'Invalid rule regex reports INVALID_RULE with a pointer'
+        );
+        const nestedQuantifier = await makeRequest('POST', '/process', {
+            data: ['aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'],
+            options: { rules: [{ category: 'x', regex: '^(a+)+$' }] }
+        });
+        assertEqual(
+            [nestedQuantifier.status, nestedQuantifier.data.code],
+            [422, 'INVALID_RULE'],
+            'Rule regex with exponential backtracking is rejected'
+        );
+        // Adjacent quantifiers pass the pattern check but run under a time limit
+        const timed = await listen(createApp({ config: { processing: { pattern_time_limit_ms: 100 } }, logger: quietLogger }));
+        try {
+            const started = Date.now();
+            const polynomial = await makeRequest('POST', `http://127.0.0.1:${timed.address().port}/process`, {
+                data: ['1'.repeat(200) + '!'],
+                options: { rules: [{ category: 'x', regex: '^\\d*\\d*\\d*\\d*\\d*x$' }] }
+            });
+            assertEqual(
+                [polynomial.status, polynomial.data.code],
+                [422, 'PATTERN_TIMEOUT'],
+                'Rule regex with polynomial backtracking stops at the time limit'
+            );
+            assertTrue(Date.now() - started < 2000, 'A timed-out request answers promptly');
+            const slowPipeline = await makeRequest('POST', `http://127.0.0.1:${timed.address().port}/process`, {
+                data: ['1'.repeat(200) + '!'],
+                pipeline: [{ op: 'filter', regex: '^\\d*\\d*\\d*\\d*\\d*x$' }]
+            });
+            assertEqual(
+                [slowPipeline.status, slowPipeline.data.code],
+                [422, 'PATTERN_TIMEOUT'],
+                'Pipeline regex with polynomial backtracking stops at the time limit'
+            );
+        } finally {
+            timed.close();
+        }
+
+        const unknownFieldBody = { data: ["a"], extra: 1 };
+        const lenientResponse = await makeRequest('POST', '/process', unknownFieldBody);
+        assertTrue(lenientResponse.data.is_success === true, 'Unknown fields are ignored by default');
+        const strictResponse = await makeRequest('POST', '/process?strict=true', unknownFieldBody);
+        assertEqual(
+            [strictResponse.status, strictResponse.data.code, strictResponse.data.errors[0].pointer],
+            [400, 'UNKNOWN_FIELD', '/extra'],
+            'Strict mode rejects unknown fields'
+        );
+
+        const malformedJsonResponse = await makeRequest('POST', '/process', '{"data": [', 'application/json');
+        assertEqual([malformedJsonResponse.status, malformedJsonResponse.data.code], [400, 'INVALID_JSON'], 'Malformed JSON returns 400');
+
+        const batchEntryResponse = await makeRequest('POST', '/process/batch', { entries: [{ id: 'x', data: "nope" }] });
+        assertEqual(
+            batchEntryResponse.data.results && batchEntryResponse.data.results[0].errors[0].pointer,
+            '/entries/0/data',
+            'Batch entry errors point into the batch body'
+        );
+
+        // Test 23: OpenAPI document and docs page
+        console.log('\n📘 Testing API documentation...');
+        const specResponse = await makeRequest('GET', '/openapi.json');
+        assertTrue(specResponse.status === 200 && /^3\./.test(specResponse.data.openapi), 'OpenAPI document is served');
+        const specPaths = specResponse.data.paths || {};
+        assertTrue(Boolean(specPaths['/process'] && specPaths['/process'].post), 'Spec documents POST /process');
+        assertTrue(Boolean(specPaths['/admin/profiles/{id}'] && specPaths['/admin/profiles/{id}'].delete), 'Spec documents admin routes');
+        const listedEndpoints = Object.keys(infoResponse.data.endpoints || {});
+        assertTrue(listedEndpoints.length > 0 && listedEndpoints.every(endpoint => {
+            const [method, route] = endpoint.split(' ');
+            const specPath = specPaths[route.replace(/:(\w+)/g, '{$1}')];
+            return Boolean(specPath && specPath[method.toLowerCase()]);
+        }), 'Every listed endpoint is in the spec');
+
+        const docsResponse = await makeRequest('GET', '/docs');
+        assertTrue(docsResponse.status === 200 && /data-api-docs/.test(docsResponse.data), 'Docs page is served');
+
+        // Test 24: Stored results
+        console.log('\n🗄️  Testing stored results...');
+        const anonymousStored = await makeRequest('POST', '/process', { data: ['a', '1', '$'] });
+        assertTrue(anonymousStored.status === 200 && anonymousStored.data.result_id === undefined, 'Nothing is stored for anonymous callers');
+        if (ADMIN_TOKEN) {
+            const historyProfile = await makeRequest('POST', '/admin/profiles', {
+                user_id: `history_user_${Date.now()}`,
+                email: 'history@example.com',
+                roll_number: '24'
+            }, 'application/json', { 'X-Admin-Token': ADMIN_TOKEN });
+            const keyHeaders = { 'X-API-Key': historyProfile.data.api_key };
+            const storedResponse = await makeRequest('POST', '/process', { data: ['a', '1', '$'] }, 'application/json', keyHeaders);
+            const resultId = storedResponse.data.result_id;
+            assertTrue(typeof resultId === 'string', 'Processing returns a result_id');
+            const fetchedResult = await makeRequest('GET', `/results/${resultId}`, null, 'application/json', keyHeaders);
+            assertEqual(fetchedResult.data.request, { data: ['a', '1', '$'] }, 'Stored request is returned');
+            assertEqual(fetchedResult.data.result && fetchedResult.data.result.odd_numbers, ['1'], 'Stored result is returned');
+            const resultList = await makeRequest('GET', '/results?limit=1', null, 'application/json', keyHeaders);
+            assertTrue(resultList.status === 200 && resultList.data.results.length === 1 && resultList.data.results[0].id === resultId, 'Results are listed newest first');
+            const anonymousList = await makeRequest('GET', '/results');
+            assertTrue(anonymousList.status === 200 && anonymousList.data.total === 0, 'Anonymous callers have no history');
+            const badLimit = await makeRequest('GET', '/results?limit=0', null, 'application/json', keyHeaders);
+            assertTrue(badLimit.status === 400 && badLimit.data.code === 'INVALID_PARAMETER', 'Invalid page size is rejected');
+            const deletedResult = await makeRequest('DELETE', `/results/${resultId}`, null, 'application/json', keyHeaders);
+            const missingResult = await makeRequest('GET', `/results/${resultId}`, null, 'application/json', keyHeaders);
+            assertTrue(deletedResult.status === 200 && missingResult.status === 404 && missingResult.data.code === 'RESULT_NOT_FOUND', 'Deleted results are gone');
+        } else {
+            console.log('⏭️  Skipping keyed history tests (ADMIN_TOKEN not set)');
+        }
+        const budgetStore = new MemoryResultStore({ maxBytes: 1000 });
+        const bulky = { client: 'u', client_key: 'profile:u', request: { data: ['x'.repeat(300)] } };
+        const firstBulky = await budgetStore.save(bulky);
+        const secondBulky = await budgetStore.save(bulky);
+        const thirdBulky = await budgetStore.save(bulky);
+        assertTrue(!(await budgetStore.get(firstBulky.id)) && Boolean(await budgetStore.get(thirdBulky.id)) && Boolean(await budgetStore.get(secondBulky.id)), 'Oldest results are evicted past the byte budget');
+        assertEqual(await budgetStore.save({ request: { data: ['x'.repeat(2000)] } }), null, 'A result over the byte budget is not stored');
+
+        // Test 25: Asynchronous jobs
+        console.log('\n⏳ Testing asynchronous jobs...');
+        const jobResponse = await makeRequest('POST', '/jobs', { data: ['a', '1', '23', '$', 'B'] });
+        assertTrue(jobResponse.status === 202 && typeof jobResponse.data.job_id === 'string', 'Job is accepted with an id');
+        assertEqual(jobResponse.headers.location, `/jobs/${jobResponse.data.job_id}`, 'Location points at the job');
+        const finishedJob = await waitForJob(jobResponse.data.job_id);
+        assertEqual(finishedJob.data.status, 'completed', 'Job completes');
+        assertEqual(finishedJob.data.result && finishedJob.data.result.odd_numbers, ['1', '23'], 'Job result is returned');
+        assertEqual(finishedJob.data.progress, { processed_items: 5, total_items: 5 }, 'Job progress covers every item');
+        const lateCancel = await makeRequest('POST', `/jobs/${jobResponse.data.job_id}/cancel`);
+        assertTrue(lateCancel.status === 409 && lateCancel.data.code === 'JOB_FINISHED', 'Finished jobs cannot be cancelled');
+        const bigJob = await makeRequest('POST', '/jobs', { data: Array.from({ length: 50000 }, (_, index) => String(index)) });
+        const cancelResponse = await makeRequest('POST', `/jobs/${bigJob.data.job_id}/cancel`);
+        assertTrue(cancelResponse.status === 200 && cancelResponse.data.status === 'cancelled', 'Pending jobs can be cancelled');
+        const badCallback = await makeRequest('POST', '/jobs', { data: ['a'], callback_url: 'ftp://example.com' });
+        assertTrue(badCallback.status === 422 && badCallback.data.code === 'INVALID_CALLBACK_URL', 'Non-http callback URLs are rejected');
+        const metadataCallback = await makeRequest('POST', '/jobs', { data: ['a'], callback_url: 'http://169.254.169.254/latest/meta-data' });
+        const loopbackCallback = await makeRequest('POST', '/jobs', { data: ['a'], callback_url: 'http://localhost:1/hook' });
+        assertTrue(
+            metadataCallback.status === 422 && loopbackCallback.status === 422 && loopbackCallback.data.code === 'INVALID_CALLBACK_URL',
+            'Callbacks to link-local and loopback hosts are rejected'
+        );
+        // A host that passes the check and then resolves to loopback (DNS
+        // rebinding) gets no connection
+        const rebindingHits = [];
+        const rebindingTarget = http.createServer((req, res) => {
+            rebindingHits.push(req.url);
+            res.writeHead(204).end();
+        });
+        await new Promise(resolve => rebindingTarget.listen(0, '127.0.0.1', resolve));
+        try {
+            let lookups = 0;
+            const rebindingLookup = (hostname, options, callback) => {
+                const address = ++lookups === 1 ? '93.184.216.34' : '127.0.0.1';
+                if (options.all) callback(null, [{ address, family: 4 }]);
+                else callback(null, address, 4);
+            };
+            const rebindingErrors = [];
+            const rebound = await deliverWebhook(`http://rebind.example:${rebindingTarget.address().port}/hook`, {}, {
+                secret: 's',
+                attempts: 1,
+                lookup: rebindingLookup,
+                onAttempt: (attempt, error) => rebindingErrors.push(error)
+            });
+            assertTrue(
+                rebound === false && rebindingHits.length === 0 && /private or reserved/.test(rebindingErrors[0] || ''),
+                'Callback connections only go to checked addresses'
+            );
+        } finally {
+            rebindingTarget.close();
+        }
+        const retainingQueue = new JobQueue({ maxFinished: 2, run: () => ({ result: Promise.resolve({ is_success: true }), cancel: () => {} }) });
+        const retainedIds = [];
+        for (let index = 0; index < 3; index++) {
+            retainedIds.push(retainingQueue.submit({ client_key: 'k', item_count: 1, input: {} }).id);
+            await sleep(0);
+        }
+        assertEqual(retainedIds.map(id => Boolean(retainingQueue.get(id))), [false, true, true], 'Only the newest finished jobs are kept');
+        const progressUpdates = [];
+        const workerRun = runInWorker({ body: { data: Array.from({ length: 2500 }, (_, index) => String(index)) }, context: {} }, classified => progressUpdates.push(classified));
+        const workerResult = await workerRun.result;
+        assertTrue(workerResult.is_success === true, 'Worker returns the core response');
+        assertEqual(progressUpdates, [1000, 2000, 2500], 'Worker reports progress while classifying');
+        const unknownJob = await makeRequest('GET', '/jobs/unknown');
+        assertTrue(unknownJob.status === 404 && unknownJob.data.code === 'JOB_NOT_FOUND', 'Unknown jobs return 404');
+
+        if (LOCAL_SERVER) {
+            // The stub fails the first delivery to exercise retries
+            const deliveries = [];
+            const stub = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    deliveries.push({ headers: req.headers, body });
+                    res.writeHead(deliveries.length === 1 ? 500 : 204).end();
+                });
+            });
+            await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+            const callbackJob = await makeRequest('POST', '/jobs', {
+                data: ['2', 'b'],
+                callback_url: `http://127.0.0.1:${stub.address().port}/hook`
+            });
+            for (let attempt = 0; attempt < 50 && deliveries.length < 2; attempt++) await sleep(100);
+            stub.close();
+
+            const delivery = deliveries[deliveries.length - 1];
+            const expectedSignature = delivery && 'sha256=' + crypto.createHmac('sha256', callbackJob.data.callback_secret)
+                .update(`${delivery.headers['x-webhook-timestamp']}.${delivery.body}`).digest('hex');
+            assertTrue(deliveries.length === 2, 'Failed callback is retried');
+            assertTrue(Boolean(delivery) && delivery.headers['x-webhook-signature'] === expectedSignature, 'Callback is signed with the job secret');
+            assertEqual(delivery && JSON.parse(delivery.body).result.even_numbers, ['2'], 'Callback carries the result');
+            let notifiedJob = await makeRequest('GET', `/jobs/${callbackJob.data.job_id}`);
+            for (let attempt = 0; attempt < 20 && notifiedJob.data.callback.status === 'pending'; attempt++) {
+                await sleep(50);
+                notifiedJob = await makeRequest('GET', `/jobs/${callbackJob.data.job_id}`);
+            }
+            assertEqual(notifiedJob.data.callback && notifiedJob.data.callback.status, 'delivered', 'Job reports the delivery');
+        }
+
+        // Test 26: Statistics
+        console.log('\n📈 Testing statistics...');
+        const statsResponse = await makeRequest('POST', '/process', {
+            data: ['1', '2', '2', '3', '4', '10', 'a', 'b', 'a', '$'],
+            options: { stats: { percentiles: [50, 90], bins: [0, 5, 10] } }
+        });
+        const numberStats = statsResponse.data.stats && statsResponse.data.stats.numbers;
+        assertEqual(numberStats && [numberStats.count, numberStats.min, numberStats.max, numberStats.mean, numberStats.median],
+            [6, '1', '10', '3.6666666667', '2.5'], 'Number summary is computed');
+        assertEqual(numberStats && numberStats.mode, ['2'], 'Mode is reported');
+        assertEqual(numberStats && numberStats.stddev, '2.98142397', 'Standard deviation is computed');
+        assertEqual(numberStats && numberStats.percentiles, { p50: '2.5', p90: '7' }, 'Requested percentiles are computed');
+        assertEqual(numberStats && numberStats.histogram.map(bin => bin.count), [5, 1], 'Histogram uses the given edges');
+        assertEqual(statsResponse.data.stats.alphabets.duplicates, ['a'], 'Duplicate letters are detected');
+        assertTrue(basicResponse.data.stats === undefined, 'Stats are opt-in');
+        const badStats = await makeRequest('POST', '/process', { data: ['1'], options: { stats: { bins: 0 } } });
+        assertTrue(badStats.status === 422 && badStats.data.code === 'INVALID_STATS', 'Invalid stats settings are rejected');
+
+        // Test 27: Dataset comparison
+        console.log('\n🔀 Testing dataset comparison...');
+        const compareBody = { before: ['1', '2', 'a', '$', '$'], after: ['1', '3', 'a', 'b', '$'] };
+        const compareResponse = await makeRequest('POST', '/compare', compareBody);
+        const compared = compareResponse.data.categories || {};
+        assertEqual(compared.odd_numbers, { added: ['3'], removed: [], common: ['1'], count: { before: 1, after: 2, delta: 1 } }, 'Odd number changes are reported');
+        assertEqual([compared.even_numbers.removed, compared.alphabets.added], [['2'], ['b']], 'Added and removed items are reported');
+        assertEqual(compared.special_characters.removed, ['$'], 'Duplicates are compared by count');
+        assertEqual(compareResponse.data.sum, { before: '3', after: '4', delta: '1' }, 'Sum delta is reported');
+        const diffResponse = await makeRequest('POST', '/compare?format=diff', compareBody);
+        assertTrue(/^text\/x-diff/.test(diffResponse.headers['content-type']), 'Diff is served as text/x-diff');
+        assertTrue(diffResponse.data.includes('--- before/even_numbers\n+++ after/even_numbers\n@@ -1,1 +0,0 @@\n-2\n'), 'Diff lists removed items');
+        const badCompare = await makeRequest('POST', '/compare', { before: ['1'] });
+        assertTrue(badCompare.status === 400 && badCompare.data.errors[0].pointer === '/after', 'Missing dataset is rejected');
+
+        // Test 28: Structured input
+        console.log('\n🌳 Testing structured input...');
+        const nested = [1, 'a', true, null, [2, ['b']], { x: '$', y: false }];
+        const structuredResponse = await makeRequest('POST', '/process', { data: nested, options: { structured: true } });
+        const structured = structuredResponse.data;
+        assertEqual([structured.booleans, structured.nulls], [[true, false], [null]], 'Booleans and nulls get their own buckets');
+        assertEqual(structured.alphabets, ['a', 'b'], 'Nested items are flattened');
+        assertEqual(structured.item_paths && structured.item_paths.alphabets, ['$[1]', '$[4][1][0]'], 'Items carry their JSON paths');
+        assertEqual(structured.item_paths && structured.item_paths.special_characters, ['$[5].x'], 'Object members use dotted paths');
+        const tooDeep = await makeRequest('POST', '/process', { data: nested, options: { structured: true, max_depth: 1 } });
+        assertTrue(tooDeep.status === 422 && tooDeep.data.errors[0].code === 'MAX_DEPTH_EXCEEDED', 'Nesting beyond max_depth is rejected');
+        assertEqual(tooDeep.data.errors && tooDeep.data.errors[0].pointer, '/data/4/1', 'Depth error points at the offending container');
+        const unstructured = await makeRequest('POST', '/process', { data: [[1]] });
+        assertTrue(unstructured.status === 400 && unstructured.data.errors[0].code === 'ITEM_INVALID_TYPE', 'Nested data needs structured mode');
+        // Item limits and the daily quota count the leaves
+        const leafLimited = await listen(createApp({ config: { limits: { max_items: 3, max_item_length: 5 } }, logger: quietLogger }));
+        try {
+            const leafUrl = `http://127.0.0.1:${leafLimited.address().port}`;
+            const tooManyLeaves = await makeRequest('POST', `${leafUrl}/process`, { data: [['a', 'b', 'c', 'd']], options: { structured: true } });
+            assertEqual(
+                [tooManyLeaves.status, tooManyLeaves.data.code, tooManyLeaves.data.errors && tooManyLeaves.data.errors[0].pointer],
+                [422, 'TOO_MANY_ITEMS', '/data'],
+                'Structured input over max_items leaves is rejected'
+            );
+            const longLeaf = await makeRequest('POST', `${leafUrl}/process`, { data: [['a', { tag: 'eeeeeeeeeeeeeeeee' }]], options: { structured: true } });
+            assertEqual(
+                [longLeaf.status, longLeaf.data.code, longLeaf.data.errors && longLeaf.data.errors[0].pointer],
+                [422, 'ITEM_TOO_LONG', '/data/0/1/tag'],
+                'Nested strings over max_item_length are rejected'
+            );
+            await makeRequest('POST', `${leafUrl}/process`, { data: [['a', ['b', 'c']]], options: { structured: true } });
+            const leafUsage = await makeRequest('GET', `${leafUrl}/usage`);
+            assertEqual(leafUsage.data.daily_items && leafUsage.data.daily_items.used, 3, 'Structured input is charged per leaf');
+        } finally {
+            leafLimited.close();
+        }
+
+        // Test 29: Provenance and single-value explanations
+        console.log('\n🔎 Testing provenance and explanations...');
+        const provenanceResponse = await makeRequest('POST', '/process', {
+            data: ['a', '007', 'x1'],
+            options: { provenance: true, rules: [{ category: 'codes', regex: '^x' }] }
+        });
+        assertEqual(provenanceResponse.data.odd_numbers, [{ original: '007', normalized: '7', index: 1, rule: 'integer' }], 'Items report their original value, index and rule');
+        assertEqual(provenanceResponse.data.custom_categories.codes.items[0].rule, 'rules[0]', 'Custom rule matches are attributed');
+        const explainResponse = await makeRequest('POST', '/classify', { value: '007' });
+        const explanation = explainResponse.data;
+        assertEqual([explanation.normalized, explanation.bucket, explanation.rule], ['7', 'odd_numbers', 'integer'], 'Explanation names the bucket and rule');
+        assertEqual(explanation.steps && explanation.steps.map(step => step.step), ['input', 'normalize', 'check', 'check', 'number', 'bucket'], 'Explanation lists every step');
+        const explainRule = await makeRequest('POST', '/classify', { value: 'abc', options: { rules: [{ category: 'short', length: { max: 2 } }] } });
+        assertEqual(explainRule.data.steps && explainRule.data.steps[2], { step: 'rule', rule: 'rules[0]', category: 'short', matched: false }, 'Explanation lists custom rules tried');
+        const missingValue = await makeRequest('POST', '/classify', {});
+        assertTrue(missingValue.status === 400 && missingValue.data.code === 'VALUE_REQUIRED', 'Missing value is rejected');
+
+        // Test 30: Prometheus metrics
+        console.log('\n📈 Testing metrics...');
+        const metricsResponse = await makeRequest('GET', '/metrics');
+        const exposition = String(metricsResponse.data);
+        assertTrue(/^text\/plain/.test(metricsResponse.headers['content-type']), 'Metrics are served as text/plain');
+        assertTrue(/^http_requests_total\{method="POST",route="\/process",status="200"\} \d+$/m.test(exposition), 'Requests are counted per route and status');
+        assertTrue(/^http_request_duration_seconds_bucket\{method="POST",route="\/process",status="200",le="\+Inf"\} \d+$/m.test(exposition), 'Latency histogram is exposed');
+        assertTrue(/^http_request_body_bytes_count\{method="POST",route="\/process"\} \d+$/m.test(exposition), 'Body sizes are recorded');
+        assertTrue(/^items_processed_total\{bucket="odd_numbers"\} \d+$/m.test(exposition), 'Items are counted per bucket');
+        assertTrue(exposition.includes('http_request_errors_total{route="/classify",code="VALUE_REQUIRED"} 1'), 'Errors are counted by code');
+        assertTrue(exposition.includes('route="unmatched"') || !exposition.includes('/unknown-route'), 'Unknown URLs do not become route labels');
+        const scraped = await listen(createApp({ config: { metrics: { token: 'scrape-secret' } }, logger: quietLogger }));
+        try {
+            const scrapeUrl = `http://127.0.0.1:${scraped.address().port}/metrics`;
+            const withToken = await makeRequest('GET', scrapeUrl, null, 'application/json', { Authorization: 'Bearer scrape-secret' });
+            assertTrue(withToken.status === 200 && /^text\/plain/.test(withToken.headers['content-type']), 'Metrics can be scraped with the metrics token');
+            const wrongToken = await makeRequest('GET', scrapeUrl, null, 'application/json', { Authorization: 'Bearer wrong' });
+            assertEqual([wrongToken.status, wrongToken.data.code], [401, 'INVALID_METRICS_TOKEN'], 'A wrong metrics token is rejected');
+        } finally {
+            scraped.close();
+        }
+
+        // Test 31: Request ids
+        console.log('\n🏷️ Testing request ids...');
+        const tracedResponse = await makeRequest('POST', '/process', { data: ['a'] }, 'application/json', { 'X-Request-Id': 'trace-abc.123' });
+        assertEqual(tracedResponse.headers['x-request-id'], 'trace-abc.123', 'Incoming request id is returned');
+        const generatedId = (await makeRequest('GET', '/health')).headers['x-request-id'];
+        assertTrue(/^[0-9a-f-]{36}$/.test(generatedId || ''), 'Request id is generated when missing');
+        const badId = (await makeRequest('GET', '/health', null, 'application/json', { 'X-Request-Id': 'bad id{}' })).headers['x-request-id'];
+        assertTrue(badId !== 'bad id{}' && /^[0-9a-f-]{36}$/.test(badId || ''), 'Malformed request id is replaced');
+
+        // Test 32: Liveness and readiness probes
+        console.log('\n💓 Testing liveness and readiness...');
+        const liveResponse = await makeRequest('GET', '/health/live');
+        assertTrue(liveResponse.status === 200 && liveResponse.data.status === 'ok', 'Liveness probe answers ok');
+        const readyResponse = await makeRequest('GET', '/health/ready');
+        assertTrue(readyResponse.status === 200 && readyResponse.data.status === 'ready', 'Readiness probe answers ready');
+        const readyChecks = readyResponse.data.checks || {};
+        assertTrue(readyChecks.usage_store && readyChecks.usage_store.status === 'ok', 'Readiness checks the usage store');
+        assertTrue(readyChecks.job_queue && readyChecks.job_queue.status === 'ok' && readyChecks.job_queue.queued !== undefined && readyChecks.job_queue.full === false, 'Readiness checks the job queue');
+
+        // Test 33: Effective configuration
+        console.log('\n⚙️ Testing the configuration endpoint...');
+        const configResponse = await makeRequest('GET', '/config');
+        const effective = (configResponse.data && configResponse.data.config) || {};
+        assertTrue(configResponse.status === 200 && configResponse.data.is_success === true, '/config answers 200');
+        assertTrue(effective.limits && Number.isInteger(effective.limits.max_items) && Array.isArray(effective.cors.origins), '/config reports limits and CORS origins');
+        assertTrue(effective.endpoints && effective.endpoints.process === true, '/config reports enabled endpoints');
+        assertTrue(Array.isArray(configResponse.data.rules), '/config lists the server-side rules');
+        assertTrue(!JSON.stringify(effective).includes('admin_token') && !('token' in (effective.metrics || {})), '/config leaves out secrets');
+        assertTrue(
+            !('rules_file' in (effective.processing || {})) && !('redact_patterns' in (effective.logging || {})) && !('dir' in (effective.results || {})),
+            '/config leaves out file paths and redaction rules'
+        );
+        if (ADMIN_TOKEN) {
+            const adminConfig = await makeRequest('GET', '/config', null, 'application/json', { 'X-Admin-Token': ADMIN_TOKEN });
+            const internalConfig = (adminConfig.data && adminConfig.data.config) || {};
+            assertTrue('rules_file' in (internalConfig.processing || {}) && Array.isArray((internalConfig.logging || {}).redact_patterns), '/config shows internal settings to admins');
+        }
+        const configSpec = await makeRequest('GET', '/openapi.json');
+        const documentedLimit = configSpec.data.components.schemas.ProcessRequest.properties.data.maxItems;
+        assertTrue(documentedLimit === effective.limits.max_items, 'OpenAPI documents the configured item limit');
+
+        // Test 34: Embedding the API in another Express app
+        console.log('\n🧩 Testing the embeddable router...');
+        const host = express();
+        host.use('/array', createProcessor({ config: { endpoints: { jobs: false } }, logger: quietLogger }).router);
+        host.get('/own', (req, res) => res.json({ own: true }));
+        const hostServer = await listen(host);
+        const hostUrl = `http://127.0.0.1:${hostServer.address().port}`;
+        try {
+            const mountedResponse = await makeRequest('POST', `${hostUrl}/array/process`, basicTest);
+            const libraryResult = processArrayData(basicTest);
+            assertTrue(mountedResponse.status === 200, 'Mounted router processes requests');
+            assertEqual([mountedResponse.data.odd_numbers, mountedResponse.data.sum], [libraryResult.odd_numbers, libraryResult.sum], 'Mounted router matches the library function');
+            const mountedSpec = await makeRequest('GET', `${hostUrl}/array/openapi.json`);
+            assertEqual(mountedSpec.data.servers, [{ url: '/array' }], 'Mounted OpenAPI document names the mount path');
+            const disabledJobs = await makeRequest('POST', `${hostUrl}/array/jobs`, basicTest);
+            assertTrue(disabledJobs.status === 404, 'Injected config disables endpoint groups');
+            const ownResponse = await makeRequest('GET', `${hostUrl}/own`);
+            assertTrue(ownResponse.status === 200 && ownResponse.data.own === true, 'Host app keeps its own routes');
+        } finally {
+            hostServer.close();
+        }
+
+        // Test 35: Client addresses behind a proxy
+        console.log('\n🔀 Testing trusted proxies...');
+        const proxied = await listen(createApp({ config: { trust_proxy: 1, rate_limit: { max: 1 } }, logger: quietLogger }));
+        const proxiedUrl = `http://127.0.0.1:${proxied.address().port}`;
+        try {
+            const fromClient = forwardedFor => makeRequest('POST', `${proxiedUrl}/process`, basicTest, 'application/json', { 'X-Forwarded-For': forwardedFor });
+            const firstClient = await fromClient('203.0.113.1');
+            const secondClient = await fromClient('203.0.113.2');
+            assertTrue(firstClient.status === 200 && secondClient.status === 200, 'Forwarded clients get their own rate limits');
+            const repeatClient = await fromClient('203.0.113.1');
+            assertTrue(repeatClient.status === 429, 'A forwarded client is still limited');
+        } finally {
+            proxied.close();
+        }
 
         // Test 9: 404 for unknown routes
         console.log('\n🔍 Testing 404 for unknown routes...');
@@ -168,16 +959,33 @@ async function runTests() {
     }
 }
 
+// Serve `app` on an ephemeral local port; resolves to the listening server
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server)).on('error', reject);
+    });
+}
+
+// Start an in-process instance with its own admin token
+async function startLocalServer() {
+    ADMIN_TOKEN = crypto.randomBytes(16).toString('hex');
+    const server = await listen(createApp({
+        config: { identity: { admin_token: ADMIN_TOKEN }, jobs: { callback_allowed_hosts: ['127.0.0.1'] } },
+        logger: quietLogger
+    }));
+    API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
 // Check if server is running before testing
 async function checkServerHealth() {
     try {
         await makeRequest('GET', '/health');
-        console.log('✅ Server is running, starting tests...\n');
+        console.log(`✅ Server is running at ${API_BASE_URL}, starting tests...\n`);
         return true;
     } catch (error) {
-        console.log('❌ Server is not running!');
-        console.log('Please start the server with: npm start');
-        console.log('Then run tests with: npm test\n');
+        console.log(`❌ Server at ${API_BASE_URL} is not running!`);
+        console.log('Unset API_BASE_URL to test an in-process instance\n');
         return false;
     }
 }
@@ -185,10 +993,15 @@ async function checkServerHealth() {
 // Main execution
 async function main() {
     console.log('🚀 Array Data Processor - API Tests\n');
-    
+
+    if (!API_BASE_URL) await startLocalServer();
+    LOCAL_SERVER = ['localhost', '127.0.0.1'].includes(new URL(API_BASE_URL).hostname);
+
     const serverRunning = await checkServerHealth();
     if (serverRunning) {
         await runTests();
+    } else {
+        process.exit(1);
     }
 }
 
@@ -1,7 +1,24 @@
 // Array Data Processor - Frontend (connects to Node.js backend)
 
-// Configuration
-const API_BASE_URL = 'https://array-data-processor.onrender.com';
+// Configuration: the backend URL comes from window.APP_CONFIG.apiBaseUrl when
+// a deployment defines it before this script, else from the
+// <meta name="api-base-url"> tag in index.html, else the page's own origin
+const API_BASE_URL = resolveApiBaseUrl();
+
+function resolveApiBaseUrl() {
+    const configured = window.APP_CONFIG && window.APP_CONFIG.apiBaseUrl;
+    const meta = document.querySelector('meta[name="api-base-url"]');
+    const url = configured || (meta && meta.content) || window.location.origin;
+    return url.replace(/\/+$/, '');
+}
+
+// Identity reported by the backend in its last response, reused by the
+// client-side fallback so results keep the caller's identity
+let lastKnownIdentity = null;
+
+// Server settings from GET /config (default options and server-side rules),
+// applied by the client-side fallback as the backend would apply them
+let lastKnownServerContext = { options: {}, rules: [] };
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -21,10 +38,59 @@ function initializeApp() {
     
     // Check backend connection
     checkBackendHealth();
+
+    // Remember the server's processing settings for the fallback
+    loadServerContext();
+
+    // Render the API section from the backend's OpenAPI document
+    loadApiDocs();
     
     console.log('App initialized successfully');
 }
 
+// Render the API specification section from the backend's OpenAPI document
+async function loadApiDocs() {
+    const container = document.getElementById('api-docs');
+    const link = document.getElementById('api-docs-link');
+    if (!container) return;
+    if (link) link.href = `${API_BASE_URL}/docs`;
+
+    try {
+        if (typeof ApiDocs === 'undefined') {
+            throw new Error('the docs renderer (vendor/api-docs.js) did not load');
+        }
+        const response = await fetch(`${API_BASE_URL}/openapi.json`);
+        if (!response.ok) {
+            throw new Error(`Backend error: ${response.status}`);
+        }
+        ApiDocs.render(container, await response.json(), { baseUrl: API_BASE_URL });
+    } catch (error) {
+        console.log('API specification unavailable:', error.message);
+        container.innerHTML = `
+            <p>The API specification could not be loaded from the backend (${error.message}).
+            It is served at <code>${API_BASE_URL}/openapi.json</code> once the backend is running.</p>
+        `;
+    }
+}
+
+// Fetch the server's default options and rules for the client-side fallback
+async function loadServerContext() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/config`);
+        if (!response.ok) {
+            throw new Error(`Backend error: ${response.status}`);
+        }
+        const data = await response.json();
+        const processing = (data.config && data.config.processing) || {};
+        lastKnownServerContext = {
+            options: processing.default_options || {},
+            rules: data.rules || []
+        };
+    } catch (error) {
+        console.log('Server configuration unavailable:', error.message);
+    }
+}
+
 // Check if backend is running
 async function checkBackendHealth() {
     try {
@@ -242,11 +308,19 @@ async function handleProcessArray() {
                 body: JSON.stringify(inputData)
             });
             
-            if (!response.ok) {
+            // Validation failures (400/422) are real answers, not an outage
+            if (!response.ok && response.status !== 400 && response.status !== 422) {
                 throw new Error(`Backend error: ${response.status}`);
             }
             
             result = await response.json();
+            if (result.is_success) {
+                lastKnownIdentity = {
+                    user_id: result.user_id,
+                    email: result.email,
+                    roll_number: result.roll_number
+                };
+            }
             showConnectionStatus('✅ Using backend API', 'success');
             
         } catch (backendError) {
@@ -283,63 +357,16 @@ async function handleProcessArray() {
     }
 }
 
-// Client-side processing (fallback when backend is unavailable)
+// Client-side processing (fallback when backend is unavailable).
+// Uses the same shared core as the backend, with the server's last known
+// default options and rules, so results never diverge.
 function processArrayClientSide(inputData) {
-    const data = inputData.data || [];
-    const numbers = [];
-    const alphabets = [];
-    const specialChars = [];
-    
-    // Process each item in the array
-    data.forEach(item => {
-        const str = String(item).trim();
-        
-        // Check if it's a number (including multi-digit)
-        if (/^\d+$/.test(str)) {
-            numbers.push(parseInt(str));
-        } 
-        // Check if it's a single alphabet character
-        else if (/^[a-zA-Z]$/.test(str)) {
-            alphabets.push(str);
-        } 
-        // Everything else is a special character
-        else if (str.length > 0) {
-            specialChars.push(str);
-        }
-    });
-    
-    // Separate odd and even numbers
-    const oddNumbers = numbers.filter(n => n % 2 !== 0).map(String);
-    const evenNumbers = numbers.filter(n => n % 2 === 0).map(String);
-    
-    // Calculate sum of all numbers
-    const sum = numbers.reduce((acc, curr) => acc + curr, 0).toString();
-    
-    // Sort alphabets: uppercase first, then lowercase
-    const sortedAlphabets = alphabets.sort((a, b) => {
-        // Uppercase letters come first
-        if (a === a.toUpperCase() && b === b.toLowerCase()) return -1;
-        if (a === a.toLowerCase() && b === b.toUpperCase()) return 1;
-        // Within same case, sort alphabetically
-        return a.localeCompare(b);
-    });
-    
-    // Create concatenated string from sorted alphabets
-    const concatString = sortedAlphabets.join('');
-    
-    return {
-        is_success: true,
-        user_id: "demo_user_29082025",
-        email: "demo@example.com",
-        roll_number: "12345",
-        odd_numbers: oddNumbers,
-        even_numbers: evenNumbers,
-        alphabets: sortedAlphabets,
-        special_characters: specialChars,
-        sum: sum,
-        concat_string: concatString,
-        processed_with: "client_side_fallback"
-    };
+    if (typeof ArrayCore === 'undefined') {
+        throw new Error('The backend is unavailable and the client-side core (vendor/array-core.js) did not load');
+    }
+    const result = ArrayCore.processArrayData(inputData, { ...lastKnownServerContext, identity: lastKnownIdentity });
+    result.processed_with = "client_side_fallback";
+    return result;
 }
 
 // Display the processing result
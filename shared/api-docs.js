@@ -0,0 +1,278 @@
+// Array Data Processor - API documentation renderer
+//
+// Renders the OpenAPI document published at /openapi.json. Used by the
+// backend's /docs page and by the frontend's API section (<script> tag,
+// exposed as window.ApiDocs), so the docs always match the running server.
+// Everything is drawn with DOM APIs and no external assets, so the docs work
+// offline.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ApiDocs = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_EXAMPLE_DEPTH = 4;
+
+    // Minimal element builder; text is always set as textContent
+    function el(tag, attrs, children) {
+        const node = document.createElement(tag);
+        Object.keys(attrs || {}).forEach(name => {
+            if (name === 'text') node.textContent = attrs[name];
+            else if (name === 'className') node.className = attrs[name];
+            else node.setAttribute(name, attrs[name]);
+        });
+        (children || []).forEach(child => {
+            if (child) node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+        });
+        return node;
+    }
+
+    // Follow a local "#/components/schemas/Name" reference
+    function resolve(spec, schema) {
+        if (!schema || !schema.$ref) return schema || {};
+        const path = schema.$ref.replace(/^#\//, '').split('/');
+        return resolve(spec, path.reduce((node, key) => (node ? node[key] : undefined), spec));
+    }
+
+    function typeLabel(spec, schema) {
+        const resolved = resolve(spec, schema);
+        const types = [].concat(resolved.type || 'any');
+        let label = types.map(type => {
+            if (type === 'array' && resolved.items) return `array<${typeLabel(spec, resolved.items)}>`;
+            return type;
+        }).join(' | ');
+        if (resolved.enum) label += ` (${resolved.enum.join(', ')})`;
+        return label;
+    }
+
+    // Example value for a schema: its own `example`, else one built from its
+    // properties and types
+    function exampleFor(spec, schema, depth = 0) {
+        const resolved = resolve(spec, schema);
+        if (resolved.example !== undefined) return resolved.example;
+        if (resolved.const !== undefined) return resolved.const;
+        if (resolved.enum) return resolved.enum[0];
+        if (depth > MAX_EXAMPLE_DEPTH) return null;
+
+        const type = [].concat(resolved.type || 'object')[0];
+        if (type === 'array') return resolved.items ? [exampleFor(spec, resolved.items, depth + 1)] : [];
+        if (type === 'object') {
+            const example = {};
+            const properties = resolved.properties || {};
+            // Only required fields, unless none are declared
+            const names = resolved.required || Object.keys(properties);
+            names.forEach(name => {
+                example[name] = exampleFor(spec, properties[name], depth + 1);
+            });
+            return example;
+        }
+        if (type === 'integer' || type === 'number') return resolved.minimum !== undefined ? resolved.minimum : 0;
+        if (type === 'boolean') return true;
+        if (type === 'null') return null;
+        return 'string';
+    }
+
+    function renderProperties(spec, schema) {
+        const resolved = resolve(spec, schema);
+        const properties = resolved.properties || {};
+        const names = Object.keys(properties);
+        if (names.length === 0) return el('p', { className: 'api-docs-type', text: typeLabel(spec, resolved) });
+
+        const required = resolved.required || [];
+        const rows = names.map(name => el('tr', {}, [
+            el('td', {}, [el('code', { text: name }), required.includes(name) ? el('span', { className: 'api-docs-required', text: ' *' }) : null]),
+            el('td', { className: 'api-docs-type', text: typeLabel(spec, properties[name]) }),
+            el('td', { text: resolve(spec, properties[name]).description || '' })
+        ]));
+        return el('table', { className: 'api-docs-table' }, [
+            el('thead', {}, [el('tr', {}, [el('th', { text: 'Field' }), el('th', { text: 'Type' }), el('th', { text: 'Description' })])]),
+            el('tbody', {}, rows)
+        ]);
+    }
+
+    function renderParameters(spec, parameters) {
+        const rows = parameters.map(param => el('tr', {}, [
+            el('td', {}, [el('code', { text: param.name }), param.required ? el('span', { className: 'api-docs-required', text: ' *' }) : null]),
+            el('td', { text: param.in }),
+            el('td', { className: 'api-docs-type', text: typeLabel(spec, param.schema) }),
+            el('td', { text: param.description || '' })
+        ]));
+        return el('table', { className: 'api-docs-table' }, [
+            el('thead', {}, [el('tr', {}, [el('th', { text: 'Name' }), el('th', { text: 'In' }), el('th', { text: 'Type' }), el('th', { text: 'Description' })])]),
+            el('tbody', {}, rows)
+        ]);
+    }
+
+    // Form that sends the operation to the server and shows the response
+    function renderTryIt(spec, path, method, operation, baseUrl) {
+        const parameters = operation.parameters || [];
+        const securityNames = [].concat(...(operation.security || []).map(Object.keys));
+        const headerNames = securityNames
+            .map(name => (spec.components.securitySchemes || {})[name])
+            .filter(scheme => scheme && scheme.type === 'apiKey' && scheme.in === 'header')
+            .map(scheme => scheme.name);
+
+        const inputs = {};
+        const fields = parameters.map(param => {
+            inputs[param.name] = el('input', { type: 'text', placeholder: param.required ? 'required' : 'optional' });
+            return el('label', {}, [el('code', { text: `${param.name} (${param.in})` }), inputs[param.name]]);
+        });
+        const headers = {};
+        headerNames.forEach(name => {
+            headers[name] = el('input', { type: 'text', placeholder: 'optional' });
+            fields.push(el('label', {}, [el('code', { text: `${name} (header)` }), headers[name]]));
+        });
+
+        // Multipart uploads need a file picker; the text body types suffice here
+        const content = (operation.requestBody || {}).content || {};
+        const bodyTypes = Object.keys(content).filter(type => type !== 'multipart/form-data');
+        let typeSelect = null;
+        let bodyInput = null;
+        if (bodyTypes.length > 0) {
+            typeSelect = el('select', {}, bodyTypes.map(type => el('option', { value: type, text: type })));
+            const json = content['application/json'];
+            bodyInput = el('textarea', { rows: '8', spellcheck: 'false' });
+            bodyInput.value = json ? JSON.stringify(exampleFor(spec, json.schema), null, 2) : '';
+            fields.push(el('label', {}, [el('code', { text: 'Content-Type' }), typeSelect]));
+            fields.push(el('label', {}, [el('code', { text: 'Body' }), bodyInput]));
+        }
+
+        const output = el('pre', { className: 'api-docs-output' });
+        const button = el('button', { type: 'button', className: 'api-docs-send', text: 'Send request' });
+
+        button.addEventListener('click', async () => {
+            let url = path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(inputs[name].value));
+            const query = new URLSearchParams();
+            parameters.filter(param => param.in === 'query' && inputs[param.name].value !== '').forEach(param => {
+                query.set(param.name, inputs[param.name].value);
+            });
+            if (query.toString()) url += `?${query}`;
+
+            const init = { method: method.toUpperCase(), headers: {} };
+            Object.keys(headers).forEach(name => {
+                if (headers[name].value) init.headers[name] = headers[name].value;
+            });
+            if (bodyInput) {
+                init.headers['Content-Type'] = typeSelect.value;
+                init.body = bodyInput.value;
+            }
+
+            output.textContent = 'Sending...';
+            try {
+                const response = await fetch(baseUrl + url, init);
+                const text = await response.text();
+                let body = text;
+                try {
+                    body = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (error) {
+                    // Not JSON (CSV, XML, NDJSON...); show as is
+                }
+                output.textContent = `${response.status} ${response.statusText}\n\n${body}`;
+            } catch (error) {
+                output.textContent = `Request failed: ${error.message}`;
+            }
+        });
+
+        return el('details', { className: 'api-docs-try' }, [
+            el('summary', { text: 'Try it' }),
+            el('div', { className: 'api-docs-form' }, fields),
+            button,
+            output
+        ]);
+    }
+
+    function renderOperation(spec, path, method, operation, options) {
+        const body = [];
+        if (operation.description) body.push(el('p', { text: operation.description }));
+
+        if (operation.parameters && operation.parameters.length > 0) {
+            body.push(el('h5', { text: 'Parameters' }), renderParameters(spec, operation.parameters));
+        }
+
+        const content = (operation.requestBody || {}).content;
+        if (content) {
+            body.push(el('h5', { text: `Request body (${Object.keys(content).join(', ')})` }));
+            if (content['application/json']) {
+                const schema = content['application/json'].schema;
+                body.push(renderProperties(spec, schema));
+                body.push(el('pre', { className: 'api-docs-example', text: JSON.stringify(exampleFor(spec, schema), null, 2) }));
+            }
+        }
+
+        body.push(el('h5', { text: 'Responses' }));
+        body.push(el('ul', { className: 'api-docs-responses' }, Object.keys(operation.responses || {}).map(status =>
+            el('li', {}, [el('code', { text: status }), ` ${operation.responses[status].description || ''}`]))));
+
+        const success = (operation.responses || {})['200'] || (operation.responses || {})['201'];
+        const successJson = success && success.content && success.content['application/json'];
+        if (successJson) {
+            body.push(el('pre', { className: 'api-docs-example', text: JSON.stringify(exampleFor(spec, successJson.schema), null, 2) }));
+        }
+
+        if (options.interactive) body.push(renderTryIt(spec, path, method, operation, options.baseUrl || ''));
+
+        return el('details', { className: 'api-docs-operation', id: `${method}-${path}` }, [
+            el('summary', {}, [
+                el('span', { className: `api-docs-method api-docs-${method}`, text: method.toUpperCase() }),
+                el('code', { className: 'api-docs-path', text: path }),
+                el('span', { className: 'api-docs-summary', text: operation.summary || '' })
+            ]),
+            el('div', { className: 'api-docs-body' }, body)
+        ]);
+    }
+
+    // Render `spec` into `container`, grouped by tag. Options: `baseUrl`
+    // (prefix for requests) and `interactive` (add "Try it" forms).
+    function render(container, spec, options = {}) {
+        const groups = {};
+        Object.keys(spec.paths || {}).forEach(path => {
+            Object.keys(spec.paths[path]).forEach(method => {
+                const operation = spec.paths[path][method];
+                const tag = (operation.tags || ['Other'])[0];
+                (groups[tag] = groups[tag] || []).push(renderOperation(spec, path, method, operation, options));
+            });
+        });
+
+        const info = spec.info || {};
+        container.textContent = '';
+        container.appendChild(el('div', { className: 'api-docs-info' }, [
+            el('h3', { text: `${info.title || 'API'} ${info.version ? `v${info.version}` : ''}`.trim() }),
+            info.description ? el('p', { text: info.description }) : null
+        ]));
+        Object.keys(groups).forEach(tag => {
+            container.appendChild(el('section', { className: 'api-docs-group' }, [el('h4', { text: tag })].concat(groups[tag])));
+        });
+    }
+
+    // Pages can opt in declaratively:
+    // <div data-api-docs data-spec-url="/openapi.json" data-interactive></div>
+    async function renderDeclared() {
+        const containers = document.querySelectorAll('[data-api-docs]');
+        for (const container of containers) {
+            const specUrl = container.getAttribute('data-spec-url') || '/openapi.json';
+            try {
+                const response = await fetch(specUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                render(container, await response.json(), {
+                    baseUrl: container.getAttribute('data-base-url') || '',
+                    interactive: container.hasAttribute('data-interactive')
+                });
+            } catch (error) {
+                container.textContent = `Could not load the API specification from ${specUrl}: ${error.message}`;
+            }
+        }
+    }
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', renderDeclared);
+    }
+
+    return {
+        render,
+        exampleFor
+    };
+});
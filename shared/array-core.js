@@ -0,0 +1,1271 @@
+// Array Data Processor - shared classification core
+//
+// Used by the Express backend (require) and by the frontend's client-side
+// fallback (<script> tag, exposed as window.ArrayCore), so both always
+// produce identical results. ESM consumers can import array-core.mjs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ArrayCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Bump whenever classification output can change
+    const CORE_VERSION = '1.7.0';
+
+    const DEFAULT_IDENTITY = {
+        user_id: "demo_user_29082025",
+        email: "demo@example.com",
+        roll_number: "12345"
+    };
+
+    // Caller identity fields for a response; anything missing falls back to
+    // the demo identity
+    function identityFields(identity) {
+        const fields = identity || {};
+        return {
+            user_id: fields.user_id || DEFAULT_IDENTITY.user_id,
+            email: fields.email || DEFAULT_IDENTITY.email,
+            roll_number: fields.roll_number || DEFAULT_IDENTITY.roll_number
+        };
+    }
+
+    const NUMBER_MODES = ['integer', 'extended'];
+    const ALPHABET_SORTS = ['uppercase_first', 'lowercase_first', 'case_insensitive', 'input_order'];
+    const TAXONOMIES = ['legacy', 'extended'];
+
+    // Response arrays produced for each token category in extended taxonomy
+    // (legacy taxonomy folds everything not a number or letter into special)
+    const EXTENDED_BUCKETS = {
+        word: 'words',
+        alphanumeric: 'alphanumerics',
+        symbol: 'symbols',
+        whitespace: 'whitespace',
+        emoji: 'emojis'
+    };
+
+    // A single letter in any script, optionally followed by combining marks
+    // (so decomposed forms like "e\u0301" still count as one letter)
+    const LETTER_PATTERN = /^\p{L}\p{M}*$/u;
+
+    // Extended taxonomy patterns
+    const WORD_PATTERN = /^\p{L}\p{M}*(?:['’-]?\p{L}\p{M}*)+$/u;
+    const ALPHANUMERIC_PATTERN = /^(?=.*\p{L})(?=.*\p{Nd})[\p{L}\p{M}\p{Nd}]+$/u;
+    const SYMBOL_PATTERN = /^[\p{P}\p{S}]+$/u;
+    const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200d|\ufe0f|\u20e3)+$/u;
+    // Only count pictographs that render as emoji (so plain "©" stays a symbol)
+    const EMOJI_PRESENTATION_PATTERN = /\p{Emoji_Presentation}|\ufe0f/u;
+
+    // Exponents beyond this are not treated as numbers (keeps BigInt math bounded)
+    const MAX_EXPONENT = 1000;
+
+    const INTEGER_PATTERN = /^\d+$/;
+    const EXTENDED_PATTERN = /^([+-]?)(\d+(?:\.\d*)?|\.\d+)(?:[eE]([+-]?\d+))?$/;
+    const RADIX_PATTERN = /^([+-]?)0([xXbB])([0-9a-fA-F]+)$/;
+
+    // Numbers are kept as { value: BigInt, scale } meaning value * 10^-scale,
+    // so sums of any size or precision stay exact.
+    function normalizeDecimal(value, scale) {
+        while (scale > 0 && value % 10n === 0n) {
+            value /= 10n;
+            scale--;
+        }
+        return { value, scale };
+    }
+
+    // Parse a trimmed string into an exact decimal, or null if it is not a
+    // number under the given options
+    function parseNumber(str, options = {}) {
+        const mode = options.number_mode || 'integer';
+
+        if (mode === 'integer') {
+            return INTEGER_PATTERN.test(str) ? { value: BigInt(str), scale: 0 } : null;
+        }
+
+        if (options.radix_literals) {
+            const radixMatch = RADIX_PATTERN.exec(str);
+            if (radixMatch) {
+                const [, sign, prefix, digits] = radixMatch;
+                const isHex = prefix.toLowerCase() === 'x';
+                if (!isHex && !/^[01]+$/.test(digits)) return null;
+                const value = BigInt(`0${prefix.toLowerCase()}${digits}`);
+                return { value: sign === '-' ? -value : value, scale: 0 };
+            }
+        }
+
+        const match = EXTENDED_PATTERN.exec(str);
+        if (!match) return null;
+
+        const [, sign, mantissa, exponentText] = match;
+        const exponent = exponentText ? Number(exponentText) : 0;
+        if (Math.abs(exponent) > MAX_EXPONENT) return null;
+
+        const [intPart, fracPart = ''] = mantissa.split('.');
+        let value = BigInt((intPart || '0') + fracPart);
+        let scale = fracPart.length - exponent;
+
+        if (scale < 0) {
+            value *= 10n ** BigInt(-scale);
+            scale = 0;
+        }
+        if (sign === '-') value = -value;
+
+        return normalizeDecimal(value, scale);
+    }
+
+    // Render an exact decimal as a plain (non-exponent) string
+    function formatDecimal({ value, scale }) {
+        const negative = value < 0n;
+        let digits = (negative ? -value : value).toString();
+
+        if (scale > 0) {
+            digits = digits.padStart(scale + 1, '0');
+            digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+        }
+        return negative ? `-${digits}` : digits;
+    }
+
+    function addDecimals(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        const value = a.value * 10n ** BigInt(scale - a.scale) +
+            b.value * 10n ** BigInt(scale - b.scale);
+        return normalizeDecimal(value, scale);
+    }
+
+    // 'upper', 'lower', or 'none' for caseless scripts (e.g. CJK)
+    function letterCase(letter) {
+        if (letter !== letter.toLowerCase()) return 'upper';
+        if (letter !== letter.toUpperCase()) return 'lower';
+        return 'none';
+    }
+
+    function createCollator(locale, policy) {
+        try {
+            return new Intl.Collator(locale, {
+                sensitivity: policy === 'case_insensitive' ? 'accent' : 'variant'
+            });
+        } catch (error) {
+            throw new Error(`Invalid locale: ${locale}`);
+        }
+    }
+
+    // Sort letter entries according to the alphabet_sort policy, collating
+    // with the requested locale. Array.prototype.sort is stable, so ties keep
+    // input order.
+    function sortAlphabets(alphabets, options) {
+        const policy = options.alphabet_sort || 'uppercase_first';
+        if (policy === 'input_order') return alphabets.slice();
+
+        const collator = createCollator(options.locale, policy);
+        if (policy === 'case_insensitive') {
+            return alphabets.slice().sort((a, b) => collator.compare(a.value, b.value));
+        }
+
+        const firstCase = policy === 'uppercase_first' ? 'upper' : 'lower';
+        return alphabets.slice().sort((a, b) => {
+            // Letters of the preferred case come first
+            const rankA = letterCase(a.value) === firstCase ? 0 : 1;
+            const rankB = letterCase(b.value) === firstCase ? 0 : 1;
+            if (rankA !== rankB) return rankA - rankB;
+            // Within same case, sort by locale collation
+            return collator.compare(a.value, b.value);
+        });
+    }
+
+    // Booleans and nulls of structured input keep their JSON type
+    function isTypedLeaf(item, options) {
+        return options.structured === true && (item === null || typeof item === 'boolean');
+    }
+
+    // Name of the number check classifyItem applies to `str`
+    function numberRule(str, options) {
+        if ((options.number_mode || 'integer') === 'integer') return 'integer';
+        return options.radix_literals && RADIX_PATTERN.test(str) ? 'radix_literal' : 'decimal';
+    }
+
+    // Classify a single raw input item. Returns { category, value, number, rule }
+    // where category is null for items that are dropped (empty strings) and
+    // rule names the check that decided. When `steps` is an array, every
+    // check tried is appended to it as { step: 'check', rule, matched }.
+    function classifyItem(item, options = {}, steps = null) {
+        const check = (rule, matched) => {
+            if (steps) steps.push({ step: 'check', rule, matched });
+            return matched;
+        };
+
+        if (options.structured === true && check('typed_leaf', isTypedLeaf(item, options))) {
+            const category = item === null ? 'null' : 'boolean';
+            return { category, value: item, number: null, rule: category };
+        }
+
+        const raw = String(item);
+        const str = raw.trim();
+        const extended = options.taxonomy === 'extended';
+
+        if (check('blank', str.length === 0)) {
+            // Whitespace-only items are only kept by the extended taxonomy
+            const category = extended && raw.length > 0 ? 'whitespace' : null;
+            return { category, value: raw, number: null, rule: category ? 'whitespace' : 'blank' };
+        }
+
+        const number = parseNumber(str, options);
+        const rule = numberRule(str, options);
+        if (check(rule, Boolean(number))) {
+            return { category: 'number', value: formatDecimal(number), number, rule };
+        }
+        if (check('letter', LETTER_PATTERN.test(str))) {
+            return { category: 'alphabet', value: str, number: null, rule: 'letter' };
+        }
+
+        if (extended) {
+            if (check('emoji', EMOJI_PATTERN.test(str) && EMOJI_PRESENTATION_PATTERN.test(str))) {
+                return { category: 'emoji', value: str, number: null, rule: 'emoji' };
+            }
+            if (check('word', WORD_PATTERN.test(str))) {
+                return { category: 'word', value: str, number: null, rule: 'word' };
+            }
+            if (check('alphanumeric', ALPHANUMERIC_PATTERN.test(str))) {
+                return { category: 'alphanumeric', value: str, number: null, rule: 'alphanumeric' };
+            }
+            if (check('symbol', SYMBOL_PATTERN.test(str))) {
+                return { category: 'symbol', value: str, number: null, rule: 'symbol' };
+            }
+        }
+
+        // Everything else is a special character
+        check('fallback', true);
+        return { category: 'special', value: str, number: null, rule: 'fallback' };
+    }
+
+    function validateOptions(options) {
+        if (options.number_mode !== undefined && !NUMBER_MODES.includes(options.number_mode)) {
+            throw new Error(`number_mode must be one of: ${NUMBER_MODES.join(', ')}`);
+        }
+        if (options.alphabet_sort !== undefined && !ALPHABET_SORTS.includes(options.alphabet_sort)) {
+            throw new Error(`alphabet_sort must be one of: ${ALPHABET_SORTS.join(', ')}`);
+        }
+        if (options.locale !== undefined && typeof options.locale !== 'string') {
+            throw new Error('locale must be a BCP 47 language tag string');
+        }
+        if (options.taxonomy !== undefined && !TAXONOMIES.includes(options.taxonomy)) {
+            throw new Error(`taxonomy must be one of: ${TAXONOMIES.join(', ')}`);
+        }
+        if (options.rules !== undefined && !Array.isArray(options.rules)) {
+            throw new Error('rules must be an array');
+        }
+        if (options.provenance !== undefined && typeof options.provenance !== 'boolean') {
+            throw new Error('provenance must be a boolean');
+        }
+        if (options.structured !== undefined && typeof options.structured !== 'boolean') {
+            throw new Error('structured must be a boolean');
+        }
+        if (options.max_depth !== undefined &&
+            (!Number.isInteger(options.max_depth) || options.max_depth < 0 || options.max_depth > MAX_DEPTH_LIMIT)) {
+            throw new Error(`max_depth must be an integer from 0 to ${MAX_DEPTH_LIMIT}`);
+        }
+    }
+
+    // ---- Structured input ----
+    //
+    // By default every item is classified as String(item). With
+    // `options.structured`, nested arrays and objects are walked instead
+    // (containers at most `max_depth` levels deep) and only their leaf values
+    // are classified: strings and numbers as usual, booleans and nulls into
+    // their own buckets. Each item's JSON path (e.g. "$[2].tags[0]") is
+    // reported in `item_paths`.
+
+    const DEFAULT_MAX_DEPTH = 20;
+    const MAX_DEPTH_LIMIT = 100;
+    const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+    function childPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return IDENTIFIER_PATTERN.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    // Leaf values of `data` and their JSON paths, in document order. Throws
+    // when a container is nested deeper than `options.max_depth`.
+    function flattenStructured(data, options = {}) {
+        const maxDepth = options.max_depth === undefined ? DEFAULT_MAX_DEPTH : options.max_depth;
+        const values = [];
+        const paths = [];
+
+        const walk = (value, path, depth) => {
+            if (value === null || typeof value !== 'object') {
+                values.push(value);
+                paths.push(path);
+                return;
+            }
+            if (depth > maxDepth) {
+                throw new Error(`data is nested deeper than max_depth (${maxDepth}) at ${path}`);
+            }
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => walk(item, childPath(path, index), depth + 1));
+            } else {
+                Object.keys(value).forEach(key => walk(value[key], childPath(path, key), depth + 1));
+            }
+        };
+        data.forEach((item, index) => walk(item, childPath('$', index), 1));
+
+        return { values, paths };
+    }
+
+    // ---- Custom category rules ----
+    //
+    // A rule assigns matching items to a named category before the built-in
+    // classification runs:
+    //   { category, priority, regex, flags, range: {min, max},
+    //     length: {min, max}, char_class, aggregate }
+    // All matchers given on a rule must hold. Higher priority rules are tried
+    // first; equal priorities keep their listed order.
+
+    const MAX_RULES = 100;
+    const MAX_PATTERN_LENGTH = 500;
+    const AGGREGATES = ['count', 'concat', 'sum'];
+    const CHAR_CLASSES = {
+        letters: /^[\p{L}\p{M}]+$/u,
+        digits: /^\p{Nd}+$/u,
+        alphanumeric: /^[\p{L}\p{M}\p{Nd}]+$/u,
+        punctuation: /^[\p{P}\p{S}]+$/u,
+        uppercase: /^(?=.*\p{Lu})[\p{Lu}\p{M}]+$/u,
+        lowercase: /^(?=.*\p{Ll})[\p{Ll}\p{M}]+$/u
+    };
+
+    function compareDecimals(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        const left = a.value * 10n ** BigInt(scale - a.scale);
+        const right = b.value * 10n ** BigInt(scale - b.scale);
+        return left < right ? -1 : left > right ? 1 : 0;
+    }
+
+    function compileBound(bound, label) {
+        if (bound === undefined || bound === null) return null;
+        const parsed = parseNumber(String(bound), { number_mode: 'extended' });
+        if (!parsed) {
+            throw new Error(`${label} must be a number`);
+        }
+        return parsed;
+    }
+
+    // Patterns come from requests, and a backtracking engine can take
+    // exponential time on ones like ^(a+)+$ or ^(a|a)+$. Reject repeated
+    // groups that contain a quantifier or an alternative, and backreferences.
+    // Adjacent quantifiers (^\d*\d*x$) can still take polynomial time; callers
+    // running patterns from untrusted requests bound that themselves (the
+    // backend's time limit). `source` must already compile.
+    function checkPatternSafety(source, label) {
+        const groups = [{ quantified: false, alternated: false }];
+        let i = 0;
+        while (i < source.length) {
+            const char = source[i];
+            let closed = null;
+            if (char === '\\') {
+                const next = source[i + 1];
+                if (/[1-9]/.test(next) || (next === 'k' && source[i + 2] === '<')) {
+                    throw new Error(`${label} may not use backreferences`);
+                }
+                // \p{...}, \u{...}: skip the braces, which are no quantifier
+                const braced = 'pPu'.includes(next) && source[i + 2] === '{';
+                i = braced ? source.indexOf('}', i) + 1 : i + 2;
+            } else if (char === '[') {
+                i += 1;
+                while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+                i += 1;
+            } else if (char === '(') {
+                groups.push({ quantified: false, alternated: false });
+                const prefix = /^\((?:\?(?::|=|!|<=|<!|<[^>]*>))?/.exec(source.slice(i));
+                i += prefix[0].length;
+                continue;
+            } else if (char === ')') {
+                closed = groups.pop();
+                i += 1;
+            } else if (char === '|') {
+                groups[groups.length - 1].alternated = true;
+                i += 1;
+                continue;
+            } else {
+                i += 1;
+            }
+
+            const current = groups[groups.length - 1];
+            const quantifier = /^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/.exec(source.slice(i));
+            if (quantifier) i += quantifier[0].length;
+            const [, symbol, min, comma, max] = quantifier || [];
+            const repeats = Boolean(quantifier) && (symbol ? symbol !== '?' : comma ? max === '' || Number(max) > 1 : Number(min) > 1);
+            if (repeats && closed && (closed.quantified || closed.alternated)) {
+                throw new Error(`${label} could take exponential time: a repeated group may not contain quantifiers or alternatives (use a character class such as [ab]+)`);
+            }
+            if (repeats) current.quantified = true;
+            if (closed) {
+                current.quantified = current.quantified || closed.quantified;
+                current.alternated = current.alternated || closed.alternated;
+            }
+        }
+    }
+
+    // Validate one rule and turn it into a predicate over trimmed strings
+    function compileRule(rule, index) {
+        const label = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        if (typeof rule.category !== 'string' || rule.category.length === 0) {
+            throw new Error(`${label}.category must be a non-empty string`);
+        }
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+            throw new Error(`${label}.priority must be a number`);
+        }
+        if (rule.aggregate !== undefined && !AGGREGATES.includes(rule.aggregate)) {
+            throw new Error(`${label}.aggregate must be one of: ${AGGREGATES.join(', ')}`);
+        }
+
+        const tests = [];
+
+        if (rule.regex !== undefined) {
+            if (typeof rule.regex !== 'string' || rule.regex.length > MAX_PATTERN_LENGTH) {
+                throw new Error(`${label}.regex must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+            }
+            let pattern;
+            try {
+                pattern = new RegExp(rule.regex, (rule.flags || '').replace(/[gy]/g, ''));
+            } catch (error) {
+                throw new Error(`${label}.regex is not a valid regular expression`);
+            }
+            checkPatternSafety(rule.regex, `${label}.regex`);
+            tests.push(str => pattern.test(str));
+        }
+
+        if (rule.range !== undefined) {
+            const range = rule.range || {};
+            const min = compileBound(range.min, `${label}.range.min`);
+            const max = compileBound(range.max, `${label}.range.max`);
+            tests.push(str => {
+                const number = parseNumber(str, { number_mode: 'extended' });
+                return Boolean(number) &&
+                    (!min || compareDecimals(number, min) >= 0) &&
+                    (!max || compareDecimals(number, max) <= 0);
+            });
+        }
+
+        if (rule.length !== undefined) {
+            const { min = 0, max = Infinity } = rule.length || {};
+            if (typeof min !== 'number' || typeof max !== 'number') {
+                throw new Error(`${label}.length.min and .max must be numbers`);
+            }
+            // Count code points, not UTF-16 units
+            tests.push(str => {
+                const length = Array.from(str).length;
+                return length >= min && length <= max;
+            });
+        }
+
+        if (rule.char_class !== undefined) {
+            const pattern = CHAR_CLASSES[rule.char_class];
+            if (!pattern) {
+                throw new Error(`${label}.char_class must be one of: ${Object.keys(CHAR_CLASSES).join(', ')}`);
+            }
+            tests.push(str => pattern.test(str));
+        }
+
+        if (tests.length === 0) {
+            throw new Error(`${label} must define at least one of: regex, range, length, char_class`);
+        }
+
+        return {
+            category: rule.category,
+            priority: rule.priority || 0,
+            aggregate: rule.aggregate,
+            index,
+            test: str => tests.every(test => test(str))
+        };
+    }
+
+    // Compile and order a rule list; also resolves each category's aggregate
+    function compileRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('rules must be an array');
+        }
+        if (rules.length > MAX_RULES) {
+            throw new Error(`At most ${MAX_RULES} rules are allowed`);
+        }
+
+        const compiled = rules.map(compileRule);
+        const aggregates = {};
+        compiled.forEach(rule => {
+            if (!rule.aggregate) return;
+            if (aggregates[rule.category] && aggregates[rule.category] !== rule.aggregate) {
+                throw new Error(`Conflicting aggregates for category "${rule.category}"`);
+            }
+            aggregates[rule.category] = rule.aggregate;
+        });
+
+        compiled.sort((a, b) => (b.priority - a.priority) || (a.index - b.index));
+        return { rules: compiled, aggregates };
+    }
+
+    function aggregateCategory(items, aggregate) {
+        if (aggregate === 'concat') return items.join('');
+        if (aggregate === 'sum') {
+            const total = items
+                .map(item => parseNumber(item, { number_mode: 'extended' }))
+                .filter(Boolean)
+                .reduce(addDecimals, { value: 0n, scale: 0 });
+            return formatDecimal(total);
+        }
+        return items.length;
+    }
+
+    // Server rules (context.rules) followed by the request's own rules, or
+    // null when there are none. Each rule is labelled by where it was
+    // defined, e.g. "server_rules[0]" or "rules[2]".
+    function customRuleSet(options, context) {
+        const serverRules = context.rules || [];
+        const rules = serverRules.concat(options.rules || []);
+        if (rules.length === 0) return null;
+
+        const ruleSet = compileRules(rules);
+        ruleSet.rules.forEach(rule => {
+            rule.label = rule.index < serverRules.length
+                ? `server_rules[${rule.index}]`
+                : `rules[${rule.index - serverRules.length}]`;
+        });
+        return ruleSet;
+    }
+
+    // ---- Transformation pipeline ----
+    //
+    // `pipeline` is either a list of steps run on the input before
+    // classification, or { before: [...], after: [...] }. After-steps run on
+    // every returned array (and custom category items); aggregates such as
+    // sum and concat_string always describe the classified data.
+    //
+    // Steps operate on entries ({ value, index }) rather than bare values so
+    // each item keeps track of its position in the original input.
+
+    const MAX_PIPELINE_STEPS = 50;
+    const MAP_FUNCTIONS = ['lowercase', 'uppercase', 'trim', 'replace'];
+    const BEFORE_ONLY_OPS = ['group_by_category'];
+
+    function compilePattern(source, flags, label) {
+        if (typeof source !== 'string' || source.length > MAX_PATTERN_LENGTH) {
+            throw new Error(`${label} must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+        }
+        let pattern;
+        try {
+            pattern = new RegExp(source, flags || '');
+        } catch (error) {
+            throw new Error(`${label} is not a valid regular expression`);
+        }
+        checkPatternSafety(source, label);
+        return pattern;
+    }
+
+    const PIPELINE_OPS = {
+        filter(step, label, options) {
+            const tests = [];
+            if (step.regex !== undefined) {
+                const pattern = compilePattern(step.regex, (step.flags || '').replace(/[gy]/g, ''), `${label}.regex`);
+                tests.push(value => pattern.test(String(value)));
+            }
+            if (step.categories !== undefined) {
+                if (!Array.isArray(step.categories)) {
+                    throw new Error(`${label}.categories must be an array`);
+                }
+                tests.push(value => step.categories.includes(classifyItem(value, options).category));
+            }
+            if (step.non_empty) {
+                tests.push(value => String(value).trim().length > 0);
+            }
+            if (tests.length === 0) {
+                throw new Error(`${label} must define at least one of: regex, categories, non_empty`);
+            }
+            const keep = step.invert ? false : true;
+            return entries => entries.filter(entry => tests.every(test => test(entry.value)) === keep);
+        },
+
+        map(step, label) {
+            if (!MAP_FUNCTIONS.includes(step.fn)) {
+                throw new Error(`${label}.fn must be one of: ${MAP_FUNCTIONS.join(', ')}`);
+            }
+            let fn;
+            if (step.fn === 'replace') {
+                const pattern = compilePattern(step.pattern, step.flags === undefined ? 'g' : step.flags, `${label}.pattern`);
+                const replacement = step.replacement === undefined ? '' : String(step.replacement);
+                fn = str => str.replace(pattern, replacement);
+            } else {
+                fn = {
+                    lowercase: str => str.toLowerCase(),
+                    uppercase: str => str.toUpperCase(),
+                    trim: str => str.trim()
+                }[step.fn];
+            }
+            return entries => entries.map(entry => ({ ...entry, value: fn(String(entry.value)) }));
+        },
+
+        dedupe(step) {
+            const key = step.case_insensitive
+                ? value => String(value).toLowerCase()
+                : value => String(value);
+            return entries => {
+                const seen = new Set();
+                return entries.filter(entry => {
+                    const k = key(entry.value);
+                    if (seen.has(k)) return false;
+                    seen.add(k);
+                    return true;
+                });
+            };
+        },
+
+        sort(step, label, options) {
+            if (step.order !== undefined && !['asc', 'desc'].includes(step.order)) {
+                throw new Error(`${label}.order must be one of: asc, desc`);
+            }
+            const collator = new Intl.Collator(options.locale, { numeric: Boolean(step.numeric) });
+            const direction = step.order === 'desc' ? -1 : 1;
+            return entries => entries.slice().sort((a, b) =>
+                direction * collator.compare(String(a.value), String(b.value)));
+        },
+
+        slice(step, label) {
+            const { start = 0, end } = step;
+            if (!Number.isInteger(start) || (end !== undefined && !Number.isInteger(end))) {
+                throw new Error(`${label}.start and .end must be integers`);
+            }
+            return entries => entries.slice(start, end);
+        },
+
+        // Stable reorder so items of the same category are adjacent, in order
+        // of each category's first appearance
+        group_by_category(step, label, options) {
+            return entries => {
+                const groups = new Map();
+                entries.forEach(entry => {
+                    const category = classifyItem(entry.value, options).category;
+                    if (!groups.has(category)) groups.set(category, []);
+                    groups.get(category).push(entry);
+                });
+                return [].concat(...groups.values());
+            };
+        }
+    };
+
+    function compileSteps(steps, stage, options) {
+        if (!Array.isArray(steps)) {
+            throw new Error(`pipeline.${stage} must be an array`);
+        }
+        return steps.map((step, index) => {
+            const label = `pipeline.${stage}[${index}]`;
+            if (!step || typeof step !== 'object' || !Object.prototype.hasOwnProperty.call(PIPELINE_OPS, step.op)) {
+                throw new Error(`${label}.op must be one of: ${Object.keys(PIPELINE_OPS).join(', ')}`);
+            }
+            if (stage === 'after' && BEFORE_ONLY_OPS.includes(step.op)) {
+                throw new Error(`${label}: ${step.op} is only allowed before classification`);
+            }
+            return { op: step.op, run: PIPELINE_OPS[step.op](step, label, options) };
+        });
+    }
+
+    // Validate a pipeline definition up front so no step runs on bad input
+    function compilePipeline(pipeline, options = {}) {
+        const definition = Array.isArray(pipeline) ? { before: pipeline } : pipeline;
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('pipeline must be an array or an object with before/after arrays');
+        }
+
+        const before = compileSteps(definition.before || [], 'before', options);
+        const after = compileSteps(definition.after || [], 'after', options);
+        if (before.length + after.length > MAX_PIPELINE_STEPS) {
+            throw new Error(`At most ${MAX_PIPELINE_STEPS} pipeline steps are allowed`);
+        }
+        return { before, after };
+    }
+
+    // ---- Descriptive statistics ----
+    //
+    // `options.stats` (true, or { percentiles, bins }) adds a `stats` block:
+    // a numeric summary of every extracted number, and frequency tables for
+    // alphabets and special characters. Like `sum`, statistics describe the
+    // classified data. Values are decimal strings, exact where possible;
+    // means, spreads and interpolated percentiles are rounded to
+    // STATS_PRECISION decimal places (or the inputs' own precision if finer).
+
+    const STATS_PRECISION = 10;
+    const DEFAULT_PERCENTILES = [25, 50, 75, 90, 95, 99];
+    const DEFAULT_BINS = 10;
+    const MAX_PERCENTILES = 20;
+    const MAX_BINS = 1000;
+
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    // Validate `options.stats`; returns { percentiles, bins } or null when
+    // statistics are off. `bins` is a bin count or a list of bin edges.
+    function compileStats(stats) {
+        if (stats === undefined || stats === false) return null;
+        const settings = stats === true ? {} : stats;
+        if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('stats must be true, false or an object');
+        }
+
+        const percentiles = settings.percentiles === undefined ? DEFAULT_PERCENTILES : settings.percentiles;
+        if (!Array.isArray(percentiles) || percentiles.length > MAX_PERCENTILES ||
+            !percentiles.every(p => isFiniteNumber(p) && p >= 0 && p <= 100)) {
+            throw new Error(`stats.percentiles must be a list of at most ${MAX_PERCENTILES} numbers from 0 to 100`);
+        }
+
+        const bins = settings.bins === undefined ? DEFAULT_BINS : settings.bins;
+        if (Array.isArray(bins)) {
+            if (bins.length < 2 || bins.length > MAX_BINS + 1 || !bins.every(isFiniteNumber) ||
+                bins.some((edge, index) => index > 0 && edge <= bins[index - 1])) {
+                throw new Error(`stats.bins edges must be 2 to ${MAX_BINS + 1} ascending numbers`);
+            }
+        } else if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) {
+            throw new Error(`stats.bins must be an integer from 1 to ${MAX_BINS}, or a list of bin edges`);
+        }
+
+        const toDecimal = number => parseNumber(String(number), { number_mode: 'extended' });
+        return {
+            percentiles: percentiles.map(p => ({ label: `p${p}`, rank: toDecimal(p) })),
+            bins: Array.isArray(bins) ? bins.map(toDecimal) : bins
+        };
+    }
+
+    // numerator / denominator (BigInts, denominator > 0) rounded half away
+    // from zero to `precision` decimal places
+    function divideDecimal(numerator, denominator, precision) {
+        const scaled = numerator * 10n ** BigInt(precision);
+        let quotient = scaled / denominator;
+        const remainder = scaled % denominator;
+        if (2n * (remainder < 0n ? -remainder : remainder) >= denominator) {
+            quotient += scaled < 0n ? -1n : 1n;
+        }
+        return normalizeDecimal(quotient, precision);
+    }
+
+    // Largest integer whose square is at most n (n >= 0)
+    function sqrtBigInt(n) {
+        if (n < 2n) return n;
+        let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+        for (;;) {
+            const next = (x + n / x) >> 1n;
+            if (next >= x) return x;
+            x = next;
+        }
+    }
+
+    // Index of the bin holding `value` (all BigInts at one scale) among
+    // ascending `edges`; the last bin includes its upper edge. -1 if outside.
+    function findBin(edges, value) {
+        if (value < edges[0] || value > edges[edges.length - 1]) return -1;
+        let low = 0;
+        let high = edges.length - 2;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (edges[middle] <= value) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+
+    // Equal-width bins from min to max, or bins between the given edges
+    function histogram(sorted, scale, bins, precision) {
+        if (sorted.length === 0) return [];
+        const unit = 10n ** BigInt(scale);
+        const format = (numerator, denominator) => formatDecimal(divideDecimal(numerator, denominator, precision));
+
+        if (Array.isArray(bins)) {
+            const edgeScale = bins.reduce((max, edge) => Math.max(max, edge.scale), scale);
+            const edges = bins.map(edge => edge.value * 10n ** BigInt(edgeScale - edge.scale));
+            const counts = new Array(edges.length - 1).fill(0);
+            const factor = 10n ** BigInt(edgeScale - scale);
+            sorted.forEach(value => {
+                const index = findBin(edges, value * factor);
+                if (index >= 0) counts[index]++;
+            });
+            return counts.map((count, index) => ({
+                min: formatDecimal(bins[index]),
+                max: formatDecimal(bins[index + 1]),
+                count
+            }));
+        }
+
+        const min = sorted[0];
+        const range = sorted[sorted.length - 1] - min;
+        if (range === 0n) {
+            return [{ min: format(min, unit), max: format(min, unit), count: sorted.length }];
+        }
+        const count = BigInt(bins);
+        const counts = new Array(bins).fill(0);
+        sorted.forEach(value => {
+            counts[Math.min(bins - 1, Number((value - min) * count / range))]++;
+        });
+        return counts.map((binCount, index) => ({
+            min: format(min * count + range * BigInt(index), count * unit),
+            max: format(min * count + range * BigInt(index + 1), count * unit),
+            count: binCount
+        }));
+    }
+
+    // count, min, max, mean, median, mode, variance and stddev (population),
+    // percentiles (linear interpolation) and a histogram of exact decimals
+    function numberStats(numbers, settings) {
+        const count = numbers.length;
+        const percentiles = {};
+        if (count === 0) {
+            settings.percentiles.forEach(({ label }) => {
+                percentiles[label] = null;
+            });
+            return {
+                count: 0, min: null, max: null, mean: null, median: null, mode: [],
+                variance: null, stddev: null, percentiles, histogram: []
+            };
+        }
+
+        // Work on integers at the finest scale among the inputs
+        const scale = numbers.reduce((max, number) => Math.max(max, number.scale), 0);
+        const precision = Math.max(STATS_PRECISION, scale);
+        const unit = 10n ** BigInt(scale);
+        const sorted = numbers
+            .map(number => number.value * 10n ** BigInt(scale - number.scale))
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        const exact = value => formatDecimal(normalizeDecimal(value, scale));
+
+        const n = BigInt(count);
+        const total = sorted.reduce((sum, value) => sum + value, 0n);
+        const squares = sorted.reduce((sum, value) => sum + value * value, 0n);
+        // n² * variance, in units of 10^-2scale
+        const spread = n * squares - total * total;
+        const denominator = (n * unit) ** 2n;
+        const digits = 10n ** BigInt(precision + 1);
+        const stddev = divideDecimal(sqrtBigInt(spread * digits * digits / denominator), digits, precision);
+
+        // Value at rank p (0-100): position (count - 1) * p / 100
+        const percentile = rank => {
+            const position = BigInt(count - 1) * rank.value;
+            const whole = 100n * 10n ** BigInt(rank.scale);
+            const index = Number(position / whole);
+            const fraction = position % whole;
+            if (fraction === 0n) return exact(sorted[index]);
+            const low = sorted[index];
+            const high = sorted[index + 1];
+            return formatDecimal(divideDecimal(low * whole + (high - low) * fraction, whole * unit, precision));
+        };
+        settings.percentiles.forEach(({ label, rank }) => {
+            percentiles[label] = percentile(rank);
+        });
+
+        // Most frequent values, unless no value repeats
+        let mode = [];
+        let best = 1;
+        for (let start = 0, end = 0; start < count; start = end) {
+            while (end < count && sorted[end] === sorted[start]) end++;
+            if (end - start > best) {
+                best = end - start;
+                mode = [];
+            }
+            if (end - start === best && best > 1) mode.push(exact(sorted[start]));
+        }
+
+        return {
+            count,
+            min: exact(sorted[0]),
+            max: exact(sorted[count - 1]),
+            mean: formatDecimal(divideDecimal(total, n * unit, precision)),
+            median: percentile({ value: 50n, scale: 0 }),
+            mode,
+            variance: formatDecimal(divideDecimal(spread, denominator, precision)),
+            stddev: formatDecimal(stddev),
+            percentiles,
+            histogram: histogram(sorted, scale, settings.bins, precision)
+        };
+    }
+
+    // Frequency table (most frequent first; ties in input order) and the
+    // values that occur more than once
+    function frequencyStats(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        const frequencies = Array.from(counts, ([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count);
+        return {
+            count: values.length,
+            distinct: counts.size,
+            frequencies,
+            duplicates: frequencies.filter(entry => entry.count > 1).map(entry => entry.value)
+        };
+    }
+
+    // Item counts for every array-valued bucket in a result
+    function countBuckets(result) {
+        const counts = {};
+        Object.keys(result).forEach(key => {
+            if (Array.isArray(result[key])) {
+                counts[key] = result[key].length;
+            }
+        });
+        return counts;
+    }
+
+    function countEntries(...groups) {
+        return groups.reduce((total, group) =>
+            Object.values(group).reduce((sum, list) => sum + list.length, total), 0);
+    }
+
+    // Items classified between two context.onProgress calls
+    const PROGRESS_INTERVAL = 1000;
+
+    // The request's options over the server defaults (`context.options`)
+    function withDefaults(inputData, context) {
+        return { ...context.options, ...((inputData && inputData.options) || {}) };
+    }
+
+    // Array processing function.
+    // `context.identity` ({ user_id, email, roll_number }) identifies the
+    // caller in the response. `context.rules` carries server-side rules that
+    // apply in addition to any rules sent with the request.
+    // `context.options` holds server default options, overridden option by
+    // option by the request's own. `context.sources`, when given, is an array
+    // parallel to `data` (e.g. { row, column } for tabular uploads); the
+    // source of every returned item is then reported in `item_sources`
+    // (except for structured input, which reports `item_paths` instead).
+    // `context.onProgress(classified, total)`, when given, is called every
+    // PROGRESS_INTERVAL items and once all items are classified.
+    function processArrayData(inputData, context = {}) {
+        try {
+            const data = (inputData && inputData.data) || [];
+            const options = withDefaults(inputData, context);
+
+            if (!Array.isArray(data)) {
+                throw new Error('Input data must be an array');
+            }
+            validateOptions(options);
+
+            const statsSettings = compileStats(options.stats);
+            const pipeline = inputData && inputData.pipeline !== undefined
+                ? compilePipeline(inputData.pipeline, options)
+                : null;
+            const trace = [];
+
+            // Entry indexes point into `data`, or into the leaves of structured input
+            const structured = options.structured === true ? flattenStructured(data, options) : null;
+            let entries = (structured ? structured.values : data).map((value, index) => ({ value, index }));
+
+            if (pipeline) {
+                trace.push({ stage: 'input', count: entries.length });
+                pipeline.before.forEach(step => {
+                    entries = step.run(entries);
+                    trace.push({ stage: 'before', op: step.op, count: entries.length });
+                });
+            }
+
+            const ruleSet = customRuleSet(options, context);
+            const customBuckets = {};
+
+            const numbers = [];
+            const alphabets = [];
+            const specialChars = [];
+            const booleans = [];
+            const nulls = [];
+            const extendedBuckets = {};
+            Object.keys(EXTENDED_BUCKETS).forEach(category => {
+                extendedBuckets[category] = [];
+            });
+
+            // Process each item in the array
+            const onProgress = typeof context.onProgress === 'function' ? context.onProgress : null;
+            entries.forEach(({ value: item, index }, position) => {
+                if (onProgress && position > 0 && position % PROGRESS_INTERVAL === 0) {
+                    onProgress(position, entries.length);
+                }
+                // Custom rules take precedence over built-in classification
+                if (ruleSet && !isTypedLeaf(item, options)) {
+                    const str = String(item).trim();
+                    const rule = str.length > 0 && ruleSet.rules.find(r => r.test(str));
+                    if (rule) {
+                        (customBuckets[rule.category] = customBuckets[rule.category] || []).push({ value: str, index, rule: rule.label });
+                        return;
+                    }
+                }
+
+                const { category, value, number, rule } = classifyItem(item, options);
+                const entry = { value, index, number, rule };
+
+                if (category === 'number') {
+                    numbers.push(entry);
+                } else if (category === 'alphabet') {
+                    alphabets.push(entry);
+                } else if (category === 'special') {
+                    specialChars.push(entry);
+                } else if (category === 'boolean') {
+                    booleans.push(entry);
+                } else if (category === 'null') {
+                    nulls.push(entry);
+                } else if (category) {
+                    extendedBuckets[category].push(entry);
+                }
+            });
+            if (onProgress) onProgress(entries.length, entries.length);
+
+            // Separate odd and even numbers; parity only applies to integers
+            const integers = numbers.filter(e => e.number.scale === 0);
+            const oddNumbers = integers.filter(e => e.number.value % 2n !== 0n);
+            const evenNumbers = integers.filter(e => e.number.value % 2n === 0n);
+            const decimalNumbers = numbers.filter(e => e.number.scale > 0);
+
+            // Calculate exact sum of all numbers
+            const sum = formatDecimal(numbers.map(e => e.number).reduce(addDecimals, { value: 0n, scale: 0 }));
+
+            // Sort alphabets (uppercase first by default)
+            const sortedAlphabets = sortAlphabets(alphabets, options);
+
+            // Create concatenated string from sorted alphabets
+            const concatString = sortedAlphabets.map(e => e.value).join('');
+
+            // Entry arrays keyed by response field
+            const arrays = {
+                odd_numbers: oddNumbers,
+                even_numbers: evenNumbers,
+                alphabets: sortedAlphabets,
+                special_characters: specialChars
+            };
+
+            // Only extended mode can produce non-integers
+            if (options.number_mode === 'extended') {
+                arrays.decimal_numbers = decimalNumbers;
+            }
+
+            const custom = {};
+            const customAggregates = {};
+            if (ruleSet) {
+                ruleSet.rules.forEach(({ category }) => {
+                    if (custom[category]) return;
+                    custom[category] = customBuckets[category] || [];
+                    const aggregate = ruleSet.aggregates[category] || 'count';
+                    customAggregates[category] = {
+                        aggregate,
+                        value: aggregateCategory(custom[category].map(e => e.value), aggregate)
+                    };
+                });
+            }
+
+            if (options.taxonomy === 'extended') {
+                Object.keys(EXTENDED_BUCKETS).forEach(category => {
+                    arrays[EXTENDED_BUCKETS[category]] = extendedBuckets[category];
+                });
+            }
+
+            if (structured) {
+                arrays.booleans = booleans;
+                arrays.nulls = nulls;
+            }
+
+            if (pipeline) {
+                trace.push({ stage: 'classify', count: countEntries(arrays, custom) });
+                pipeline.after.forEach(step => {
+                    Object.keys(arrays).forEach(key => {
+                        arrays[key] = step.run(arrays[key]);
+                    });
+                    Object.keys(custom).forEach(category => {
+                        custom[category] = step.run(custom[category]);
+                    });
+                    trace.push({ stage: 'after', op: step.op, count: countEntries(arrays, custom) });
+                });
+            }
+
+            // With provenance every item is reported with its original input
+            const source = structured ? structured.values : data;
+            const values = options.provenance === true
+                ? list => list.map(e => ({ original: source[e.index], normalized: e.value, index: e.index, rule: e.rule }))
+                : list => list.map(e => e.value);
+            const sources = Array.isArray(context.sources) && !structured
+                ? list => list.map(e => context.sources[e.index])
+                : null;
+            const paths = structured
+                ? list => list.map(e => structured.paths[e.index])
+                : null;
+
+            const result = {
+                is_success: true,
+                ...identityFields(context.identity),
+                odd_numbers: values(arrays.odd_numbers),
+                even_numbers: values(arrays.even_numbers),
+                alphabets: values(arrays.alphabets),
+                special_characters: values(arrays.special_characters),
+                sum: sum,
+                concat_string: concatString,
+                core_version: CORE_VERSION
+            };
+
+            if (arrays.decimal_numbers) {
+                result.decimal_numbers = values(arrays.decimal_numbers);
+            }
+
+            if (ruleSet) {
+                result.custom_categories = {};
+                Object.keys(custom).forEach(category => {
+                    result.custom_categories[category] = {
+                        items: values(custom[category]),
+                        ...customAggregates[category]
+                    };
+                    if (sources) {
+                        result.custom_categories[category].sources = sources(custom[category]);
+                    }
+                    if (paths) {
+                        result.custom_categories[category].paths = paths(custom[category]);
+                    }
+                });
+            }
+
+            if (options.taxonomy === 'extended') {
+                Object.values(EXTENDED_BUCKETS).forEach(key => {
+                    result[key] = values(arrays[key]);
+                });
+            }
+
+            if (structured) {
+                result.booleans = values(arrays.booleans);
+                result.nulls = values(arrays.nulls);
+            }
+
+            if (pipeline) {
+                result.pipeline_trace = trace;
+            }
+
+            if (options.taxonomy === 'extended') {
+                result.counts = countBuckets(result);
+            }
+
+            if (statsSettings) {
+                result.stats = {
+                    numbers: numberStats(numbers.map(e => e.number), statsSettings),
+                    alphabets: frequencyStats(alphabets.map(e => e.value)),
+                    special_characters: frequencyStats(specialChars.map(e => e.value))
+                };
+            }
+
+            if (sources) {
+                result.item_sources = {};
+                Object.keys(arrays).forEach(key => {
+                    result.item_sources[key] = sources(arrays[key]);
+                });
+            }
+
+            if (paths) {
+                result.item_paths = {};
+                Object.keys(arrays).forEach(key => {
+                    result.item_paths[key] = paths(arrays[key]);
+                });
+            }
+
+            return result;
+        } catch (error) {
+            return {
+                is_success: false,
+                error: error.message,
+                ...identityFields(context.identity),
+                odd_numbers: [],
+                even_numbers: [],
+                alphabets: [],
+                special_characters: [],
+                sum: "0",
+                concat_string: "",
+                core_version: CORE_VERSION
+            };
+        }
+    }
+
+    // ---- Explanations ----
+    //
+    // explainItem classifies a single value as processArrayData would and
+    // lists every decision on the way: the normalized text, each custom rule
+    // and built-in check tried, the number parsed and the bucket chosen.
+    // Pipelines do not apply to a single value.
+
+    // Response field that items of `category` are reported in
+    function bucketOf(category, number) {
+        if (category === 'number') {
+            if (number.scale > 0) return 'decimal_numbers';
+            return number.value % 2n !== 0n ? 'odd_numbers' : 'even_numbers';
+        }
+        if (category === 'alphabet') return 'alphabets';
+        if (category === 'special') return 'special_characters';
+        if (category === 'boolean') return 'booleans';
+        if (category === 'null') return 'nulls';
+        return category ? EXTENDED_BUCKETS[category] : null;
+    }
+
+    // `inputData` is { value, options }. Returns { value, normalized,
+    // category, bucket, rule, steps }; bucket is null for dropped values and
+    // "custom_categories" when a custom rule matched.
+    function explainItem(inputData, context = {}) {
+        try {
+            const item = inputData ? inputData.value : undefined;
+            const options = withDefaults(inputData, context);
+
+            if (item === undefined || (item !== null && typeof item === 'object')) {
+                throw new Error('value must be a string, a number, a boolean or null');
+            }
+            validateOptions(options);
+
+            const steps = [{ step: 'input', value: item, type: item === null ? 'null' : typeof item }];
+            const explained = (category, bucket, rule, normalized) => ({
+                is_success: true,
+                value: item,
+                normalized,
+                category,
+                bucket,
+                rule,
+                steps: steps.concat({ step: 'bucket', bucket }),
+                core_version: CORE_VERSION
+            });
+
+            if (!isTypedLeaf(item, options)) {
+                const str = String(item).trim();
+                steps.push({ step: 'normalize', value: str });
+
+                // Custom rules are tried first, as in processArrayData
+                const ruleSet = customRuleSet(options, context);
+                if (ruleSet && str.length > 0) {
+                    const rule = ruleSet.rules.find(r => {
+                        const matched = r.test(str);
+                        steps.push({ step: 'rule', rule: r.label, category: r.category, matched });
+                        return matched;
+                    });
+                    if (rule) return explained(rule.category, 'custom_categories', rule.label, str);
+                }
+            }
+
+            const { category, value, number, rule } = classifyItem(item, options, steps);
+            if (number) {
+                const parity = number.scale > 0 ? null : number.value % 2n !== 0n ? 'odd' : 'even';
+                steps.push({ step: 'number', value, parity });
+            }
+            return explained(category, bucketOf(category, number), rule, value);
+        } catch (error) {
+            return { is_success: false, error: error.message, core_version: CORE_VERSION };
+        }
+    }
+
+    return {
+        CORE_VERSION,
+        DEFAULT_IDENTITY,
+        NUMBER_MODES,
+        ALPHABET_SORTS,
+        TAXONOMIES,
+        parseNumber,
+        formatDecimal,
+        addDecimals,
+        classifyItem,
+        compileRules,
+        compilePipeline,
+        compileStats,
+        flattenStructured,
+        processArrayData,
+        explainItem
+    };
+});
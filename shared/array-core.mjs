@@ -0,0 +1,22 @@
+// ESM entry point for the shared classification core (see array-core.js)
+import core from './array-core.js';
+
+export const {
+    CORE_VERSION,
+    DEFAULT_IDENTITY,
+    NUMBER_MODES,
+    ALPHABET_SORTS,
+    TAXONOMIES,
+    parseNumber,
+    formatDecimal,
+    addDecimals,
+    classifyItem,
+    compileRules,
+    compilePipeline,
+    compileStats,
+    flattenStructured,
+    processArrayData,
+    explainItem
+} = core;
+
+export default core;